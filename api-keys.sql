@@ -0,0 +1,38 @@
+-- API keys and the audit log of writes made with them
+--
+-- Only the SHA-256 hex of a key is stored. Create keys with POST /smg-api-keys (using an admin key,
+-- or API_ADMIN_KEY for the first one), or insert one here:
+--   CREATE EXTENSION IF NOT EXISTS pgcrypto;
+--   INSERT INTO api_keys (name, role, key_hash, key_prefix)
+--   VALUES ('looker', 'reader', encode(digest('smg_your-secret-key', 'sha256'), 'hex'), 'smg_your-sec');
+-- Roles: reader (GET routes), operator (transform, pipeline, downloads, backfills, jobs),
+-- admin (replace uploads, store aliases, schedules, API keys, audit log).
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('reader', 'operator', 'admin')),
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,                    -- first characters of the key, to tell keys apart
+  created_by TEXT,                             -- name of the key that created it
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- One row per authenticated POST/DELETE on a /smg-* route, including ones refused for their role
+CREATE TABLE IF NOT EXISTS api_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  api_key_id UUID REFERENCES api_keys (id),    -- NULL for API_ADMIN_KEY
+  api_key_name TEXT NOT NULL,
+  role TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER NOT NULL,
+  pipeline_id TEXT,                            -- run or job started by the request, if any
+  details JSONB,                               -- query, options and payload sizes (never the CSV or rows)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS api_audit_log_created_at_idx ON api_audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS api_audit_log_api_key_name_idx ON api_audit_log (api_key_name, created_at DESC);
@@ -1,12 +1,29 @@
 const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { promisify } = require('util');
+const busboy = require('busboy');
+const ExcelJS = require('exceljs');
 const { createClient } = require('@supabase/supabase-js');
+const { createCSVTokenizer, parseCSV } = require('./csv-tokenizer');
+const { REPORT_PROFILES, REPORT_PROFILES_BY_KEY, reportProfileKey, detectReportFormat } = require('./report-profiles');
+const { zonedDateParts, shiftDate, isValidISODate } = require('./date-utils');
+const { createDateWindowCalculator, DATE_WINDOW_STRATEGIES, DATE_WINDOW_MAX_DAYS } = require('./date-window');
+const { parseCron, cronFiresAt, nextCronRun } = require('./cron');
+const { createDropFolderWatcher } = require('./drop-folder-watcher');
+const { createSMGPortalDownloader } = require('./smg-portal');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '10mb';
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 app.use(express.static('public'));
 
 // Supabase client
@@ -24,6 +41,199 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// AUTHENTICATION - every /smg-* route needs an API key (Authorization: Bearer <key> or X-API-Key)
+// Keys are stored as SHA-256 hashes in api_keys with a role: reader (GET routes), operator (transform,
+// pipeline, downloads, backfills, jobs) or admin (any replace-mode load, store aliases, schedules, keys).
+// Each role can do everything the roles before it can. Every write is recorded in api_audit_log.
+// API_ADMIN_KEY is an admin key from the environment for creating the first keys.
+const API_AUTH_ENABLED = process.env.API_AUTH_ENABLED !== 'false';
+const API_ADMIN_KEY = process.env.API_ADMIN_KEY || null;
+const API_KEY_CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS || '60000', 10);
+const API_ROLES = ['reader', 'operator', 'admin'];
+
+// A replace load deletes rows first, so it needs admin on every route that takes the mode. Multipart
+// /smg-pipeline options are only read after authentication - bufferPipelineUpload checks again.
+const replaceNeedsAdmin = field => req => (
+  (req.body && req.body[field] === 'replace') || req.query[field] === 'replace' ? 'admin' : 'operator'
+);
+
+// Roles for the routes that write; other GET requests need reader and other writes need admin
+const ROUTE_ROLES = [
+  { method: 'POST', path: /^\/smg-upload$/, role: replaceNeedsAdmin('mode') },
+  { method: 'POST', path: /^\/smg-(pipeline|download|backfill|gaps\/backfill)$/, role: replaceNeedsAdmin('uploadMode') },
+  { method: 'POST', path: /^\/smg-(transform|watch\/scan)$/, role: 'operator' },
+  { method: 'POST', path: /^\/smg-backfill\/[^/]+\/resume$/, role: 'operator' },
+  { method: 'DELETE', path: /^\/smg-jobs\/[^/]+$/, role: 'operator' },
+  { method: 'GET', path: /^\/smg-(api-keys|audit-log)(\/|$)/, role: 'admin' }
+];
+
+// Verified keys by hash - a revoked key stops working within API_KEY_CACHE_TTL_MS
+const apiKeyCache = new Map();
+const API_ADMIN_KEY_DIGEST = API_ADMIN_KEY ? Buffer.from(hashApiKey(API_ADMIN_KEY), 'hex') : null;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function requiredRole(req) {
+  const rule = ROUTE_ROLES.find(candidate => candidate.method === req.method && candidate.path.test(req.path));
+  if (rule) return typeof rule.role === 'function' ? rule.role(req) : rule.role;
+  return ['GET', 'HEAD'].includes(req.method) ? 'reader' : 'admin';
+}
+
+function hasRole(apiKey, role) {
+  return API_ROLES.indexOf(apiKey.role) >= API_ROLES.indexOf(role);
+}
+
+function presentedApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : (req.get('X-API-Key') || '').trim();
+}
+
+/**
+ * The active api_keys row for a presented key, or null
+ */
+async function resolveApiKey(apiKey) {
+  const keyHash = hashApiKey(apiKey);
+  
+  // Digests have a fixed length, so timingSafeEqual can compare them without leaking the key's length
+  if (API_ADMIN_KEY_DIGEST && crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), API_ADMIN_KEY_DIGEST)) {
+    return { id: null, name: 'API_ADMIN_KEY', role: 'admin' };
+  }
+  
+  const cached = apiKeyCache.get(keyHash);
+  if (cached && cached.expiresAt > Date.now()) return cached.key;
+  
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id, name, role')
+    .eq('key_hash', keyHash)
+    .is('revoked_at', null)
+    .limit(1);
+  
+  if (error) throw new Error(`api_keys lookup failed: ${error.message}`);
+  if (data.length === 0) {
+    apiKeyCache.delete(keyHash);
+    return null;
+  }
+  
+  apiKeyCache.set(keyHash, { key: data[0], expiresAt: Date.now() + API_KEY_CACHE_TTL_MS });
+  supabase.from('api_keys').update({ last_used_at: new Date().toISOString() }).eq('id', data[0].id)
+    .then(({ error: touchError }) => {
+      if (touchError) console.error('❌ Could not update api key last_used_at:', touchError.message);
+    });
+  return data[0];
+}
+
+/**
+ * What a write asked for, without the report or row payloads
+ */
+function summarizeWriteRequest(req) {
+  const details = { query: { ...req.query } };
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey) details.idempotency_key = idempotencyKey;
+  
+  if (!req.is('application/json') || !req.body || typeof req.body !== 'object') {
+    details.content_type = req.get('Content-Type') || null;
+    return details;
+  }
+  
+  const { csvData, csvByDate, data, ...options } = req.body;
+  if (typeof csvData === 'string') details.csv_bytes = Buffer.byteLength(csvData);
+  if (csvByDate && typeof csvByDate === 'object') details.csv_dates = Object.keys(csvByDate);
+  if (Array.isArray(data)) details.rows = data.length;
+  return { ...details, ...options };
+}
+
+/**
+ * Record a write in api_audit_log once its response is sent - best-effort, never fails the request
+ */
+function auditWrite(req, res) {
+  const details = summarizeWriteRequest(req);
+  let responseBody = null;
+  const json = res.json.bind(res);
+  res.json = body => {
+    responseBody = body;
+    return json(body);
+  };
+  
+  res.on('finish', async () => {
+    const pipelineResults = responseBody && responseBody.pipeline_results;
+    const { error } = await supabase.from('api_audit_log').insert({
+      api_key_id: req.apiKey.id,
+      api_key_name: req.apiKey.name,
+      role: req.apiKey.role,
+      method: req.method,
+      path: req.path,
+      status_code: res.statusCode,
+      pipeline_id: (responseBody && responseBody.pipeline_id) || (pipelineResults && pipelineResults.pipeline_id) || null,
+      details: details,
+      created_at: new Date().toISOString()
+    });
+    
+    if (error) console.error(`❌ Could not write audit log for ${req.method} ${req.path}:`, error.message);
+  });
+}
+
+function sendAuthError(res, status, code, message, extra = {}) {
+  res.status(status).json({
+    error: status === 401 ? 'Authentication required' : 'Forbidden',
+    code: code,
+    message: message,
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Refuse (403) an authenticated request whose key lacks the role its route and options need
+ * Returns false once the refusal is sent; always true with authentication off
+ */
+function checkRouteRole(req, res, role = requiredRole(req)) {
+  if (!req.apiKey || hasRole(req.apiKey, role)) return true;
+  
+  sendAuthError(res, 403, 'INSUFFICIENT_ROLE', `${req.method} ${req.path} needs the ${role} role`, {
+    required_role: role,
+    role: req.apiKey.role
+  });
+  return false;
+}
+
+async function authenticateApiKey(req, res, next) {
+  if (!API_AUTH_ENABLED || !req.path.startsWith('/smg-')) return next();
+  
+  const apiKey = presentedApiKey(req);
+  if (!apiKey) {
+    return sendAuthError(res, 401, 'API_KEY_REQUIRED', 'Send an API key as Authorization: Bearer <key> or X-API-Key');
+  }
+  
+  try {
+    req.apiKey = await resolveApiKey(apiKey);
+  } catch (error) {
+    console.error('❌ API key check error:', error.message);
+    return res.status(500).json({
+      error: 'Authentication check failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (!req.apiKey) {
+    return sendAuthError(res, 401, 'INVALID_API_KEY', 'API key is unknown or revoked');
+  }
+  
+  if (!['GET', 'HEAD'].includes(req.method)) auditWrite(req, res);
+  
+  if (checkRouteRole(req, res)) next();
+}
+
+app.use(authenticateApiKey);
+
+if (!API_AUTH_ENABLED) {
+  console.warn('⚠️ API key authentication is disabled (API_AUTH_ENABLED=false) - every /smg-* route is open');
+}
+
 // SOPHISTICATED SMG CSV TRANSFORMATION FUNCTIONS
 // Adapted from working csv-transformer.js desktop version
 
@@ -33,14 +243,27 @@ if (missingEnvVars.length > 0) {
  * Non-stores are just names: "Chad Reynolds", "QDOBA", "Combined", "Daniel Wsenberg"
  */
 function isValidStoreLocation(location) {
-  // Real stores have format: "digits - store name" or contain comma with digits
-  // Examples: "002448 - Nathan Lane", "001738 - Woodbury", "QDOBA,1822,0.799"
+  // Real stores have format: "digits - store name" or a brand/number/value triple
+  // Examples: "002448 - Nathan Lane", "001738 - Woodbury, MN", "QDOBA,1822,0.799"
   // Non-stores: "Chad Reynolds", "QDOBA", "Combined", "Daniel Wsenberg"
+  const trimmed = location.trim();
   
   const storePatternWithDash = /^\d+\s*-\s*.+/;  // "002448 - Store Name"
-  const storePatternWithComma = /^[^,]*,\d+,/;   // "QDOBA,1822,0.799"
+  if (storePatternWithDash.test(trimmed)) {
+    return true;
+  }
+  
+  // "QDOBA,1822,0.799" - a location cell that is itself a record whose second field is the store number
+  if (trimmed.includes(',')) {
+    try {
+      const [fields] = parseCSV(trimmed);
+      return fields.length >= 3 && /^\d+$/.test(fields[1].trim());
+    } catch (error) {
+      return false;
+    }
+  }
   
-  return storePatternWithDash.test(location.trim()) || storePatternWithComma.test(location.trim());
+  return false;
 }
 
 /**
@@ -68,67 +291,6 @@ function normalizeDateForStorageUTC(dateStr) {
   return `${year}-${month}-${day}`;
 }
 
-/**
- * Parse SMG headers to understand complex category/subcategory structure
- * NOW WITH EXTENSIVE DEBUG LOGGING TO IDENTIFY FORMAT MISMATCH
- */
-function parseHeaders(headerLine1, headerLine2) {
-  console.log('🔍 DEBUG parseHeaders() - START');
-  console.log('📊 Raw headerLine1 length:', headerLine1 ? headerLine1.length : 'NULL');
-  console.log('📊 Raw headerLine2 length:', headerLine2 ? headerLine2.length : 'NULL');
-  console.log('📊 Raw headerLine1:', JSON.stringify(headerLine1));
-  console.log('📊 Raw headerLine2:', JSON.stringify(headerLine2));
-  
-  if (!headerLine1 || !headerLine2) {
-    console.log('❌ DEBUG: Missing header lines!');
-    return [];
-  }
-  
-  const categories = headerLine1.split(',').map(h => h.trim());
-  const subHeaders = headerLine2.split(',').map(h => h.trim());
-  
-  console.log('📊 Categories count:', categories.length);
-  console.log('📊 SubHeaders count:', subHeaders.length);
-  console.log('📊 First 10 categories:', categories.slice(0, 10));
-  console.log('📊 First 10 subHeaders:', subHeaders.slice(0, 10));
-  
-  const metrics = [];
-  let currentCategory = '';
-  
-  for (let i = 1; i < categories.length; i++) {
-    if (categories[i] && categories[i] !== '') {
-      currentCategory = categories[i];
-    }
-    
-    // Debug each iteration for first 15 indices
-    if (i <= 15) {
-      console.log(`📊 Index ${i}: category='${currentCategory}', subHeader='${subHeaders[i]}'`);
-    }
-    
-    if (currentCategory && subHeaders[i] === 'n') {
-      console.log(`✅ DEBUG: MATCH FOUND at index ${i} for category '${currentCategory}'`);
-      metrics.push({
-        name: currentCategory,
-        startIndex: i,
-        responseCountIndex: i,
-        scoreIndices: {
-          '5': i + 1,
-          '4': i + 2,
-          '3': i + 3,
-          '2': i + 4,
-          '1': i + 5
-        }
-      });
-    }
-  }
-  
-  console.log('🔍 DEBUG parseHeaders() - END');
-  console.log('📊 Total metrics found:', metrics.length);
-  console.log('📊 Metric names:', metrics.map(m => m.name));
-  
-  return metrics;
-}
-
 /**
  * Extract date from SMG "Full Scale Report" title line
  */
@@ -148,144 +310,1049 @@ function extractDate(titleLine) {
 }
 
 /**
- * Clean SMG values - handle ** and empty values
+ * Clean SMG values - ** (suppressed for low sample), empty and unparseable cells become null, not 0
  */
 function cleanValue(value) {
   if (value === '**' || value === '' || value === undefined || value === null) {
-    return 0;
+    return null;
   }
   const num = parseFloat(value);
-  return isNaN(num) ? 0 : num;
+  return isNaN(num) ? null : num;
+}
+
+// Score tables: single-day reports load into daily_cx_scores, date-range reports into period_cx_scores
+const SCORE_TABLES = {
+  daily_cx_scores: {
+    keyColumns: ['store_id', 'date', 'question', 'score'],
+    dateColumns: ['date'],
+    replaceRpc: 'replace_daily_cx_scores',
+    upsertRpc: 'upsert_daily_cx_scores'
+  },
+  period_cx_scores: {
+    keyColumns: ['store_id', 'start_date', 'end_date', 'question', 'score'],
+    dateColumns: ['start_date', 'end_date'],
+    replaceRpc: 'replace_period_cx_scores',
+    upsertRpc: 'upsert_period_cx_scores'
+  }
+};
+
+// Columns compared when deciding whether an existing score row would change
+const SCORE_VALUE_COLUMNS = ['response_count', 'response_percent', 'total_responses', 'suppressed'];
+
+// Upload modes shared by /smg-upload and /smg-pipeline; dry_run computes the diff without writing
+const UPLOAD_MODES = ['upsert', 'insert', 'replace', 'dry_run'];
+const DRY_RUN_CHANGE_LIMIT = 200;
+
+/**
+ * Name the scores table a row belongs in - period rows carry start_date/end_date instead of date
+ */
+function scoreTableForRow(row) {
+  return row.start_date ? 'period_cx_scores' : 'daily_cx_scores';
 }
 
 /**
- * Parse CSV line properly
+ * Copy the date columns of a transformed record (date, or start_date/end_date for period rows)
  */
-function parseCSVLine(line) {
-  return line.split(',').map(v => v.trim());
+function scoreRowDates(record) {
+  return record.start_date ? { start_date: record.start_date, end_date: record.end_date } : { date: record.date };
 }
 
 /**
- * Transform SMG CSV using sophisticated parsing logic
+ * Fill in the suppressed flag on rows uploaded without one - a null value column means SMG suppressed or omitted it
  */
-function transformSMGCSV(csvContent, targetDate = null) {
-  console.log('🔄 DEBUG transformSMGCSV() - START');
-  console.log('📊 CSV content length:', csvContent ? csvContent.length : 'NULL');
-  console.log('📊 Target date:', targetDate);
+function withSuppressedFlag(row) {
+  if (typeof row.suppressed === 'boolean') return row;
+  return {
+    ...row,
+    suppressed: ['response_count', 'response_percent', 'total_responses'].some(column => row[column] === null || row[column] === undefined)
+  };
+}
+
+/**
+ * Label for the day or period a score row covers ("2025-06-26" or "2025-06-20..2025-06-26")
+ */
+function scoreRowPeriod(row) {
+  return row.start_date ? `${row.start_date}..${row.end_date}` : row.date;
+}
+
+/**
+ * Replace the rows for every store/day (or store/period) in rows inside one database transaction
+ * Runs the table's replace RPC (cx-scores-rpc.sql) - if the insert fails the delete is rolled back
+ * Returns { deleted, inserted }
+ */
+async function replaceScoresTransactional(table, rows) {
+  const { data, error, status } = await supabase.rpc(SCORE_TABLES[table].replaceRpc, { p_rows: rows });
   
-  const lines = csvContent.split('\n').map(line => line.replace(/\r/g, '').trim()).filter(line => line);
+  if (error) throw databaseError(`Replace transaction on ${table} failed`, error, status);
+  return { deleted: data.deleted, inserted: data.inserted };
+}
+
+/**
+ * Upsert rows inside one database transaction via the table's upsert RPC (cx-scores-rpc.sql)
+ * Returns { inserted, updated, unchanged }
+ */
+async function upsertScoresTransactional(table, rows) {
+  const { data, error, status } = await supabase.rpc(SCORE_TABLES[table].upsertRpc, { p_rows: rows });
   
-  console.log('📊 Total lines after processing:', lines.length);
-  console.log('📊 First 3 lines:');
-  for (let i = 0; i < Math.min(3, lines.length); i++) {
-    console.log(`   Line ${i}: ${JSON.stringify(lines[i].substring(0, 100))}...`);
-  }
+  if (error) throw databaseError(`Upsert transaction on ${table} failed`, error, status);
+  return { inserted: data.inserted, updated: data.updated, unchanged: data.unchanged };
+}
+
+/**
+ * Fetch the existing rows for every store/day (or store/period) present in rows
+ * Pages through results since PostgREST caps each response
+ */
+async function fetchExistingScores(table, rows) {
+  const tableConfig = SCORE_TABLES[table];
+  const pageSize = 1000;
+  const existing = [];
   
-  if (lines.length < 4) {
-    throw new Error('Invalid SMG CSV format - not enough lines');
+  const buildQuery = () => {
+    let q = supabase.from(table).select('*').in('store_id', [...new Set(rows.map(row => row.store_id))]);
+    tableConfig.dateColumns.forEach(column => {
+      q = q.in(column, [...new Set(rows.map(row => row[column]))]);
+    });
+    return q;
+  };
+  
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery().order('store_id', { ascending: true }).range(offset, offset + pageSize - 1);
+    if (error) throw databaseError(`Existing row lookup on ${table} failed`, error);
+    existing.push(...data);
+    if (data.length < pageSize) break;
   }
+  
+  // The store × date filter over-fetches; keep only pairs that are actually being loaded
+  const pairKey = row => `${row.store_id}|${scoreRowPeriod(row)}`;
+  const loadedPairs = new Set(rows.map(pairKey));
+  return existing.filter(row => loadedPairs.has(pairKey(row)));
+}
+
+/**
+ * Work out what loading rows would change without writing anything (dry_run mode)
+ * Counts are given for upsert semantics, plus the rows replace mode would additionally delete.
+ * The first DRY_RUN_CHANGE_LIMIT changes are listed with before/after values.
+ */
+async function diffScoreRows(table, rows) {
+  const tableConfig = SCORE_TABLES[table];
+  const rowKey = row => tableConfig.keyColumns.map(column => row[column]).join('|');
+  const pickKey = row => Object.fromEntries(tableConfig.keyColumns.map(column => [column, row[column]]));
+  const pickValues = row => Object.fromEntries(SCORE_VALUE_COLUMNS.map(column => [column, row[column] ?? null]));
+  const sameValue = (a, b) => (a === null || a === undefined || b === null || b === undefined)
+    ? (a ?? null) === (b ?? null)
+    : Number(a) === Number(b);
+  
+  const existing = await fetchExistingScores(table, rows);
+  const existingByKey = new Map(existing.map(row => [rowKey(row), row]));
+  const incomingKeys = new Set(rows.map(rowKey));
+  
+  const diff = { table, would_insert: 0, would_update: 0, unchanged: 0, would_delete_on_replace: 0, changes: [] };
+  const addChange = change => {
+    if (diff.changes.length < DRY_RUN_CHANGE_LIMIT) diff.changes.push(change);
+  };
+  
+  rows.forEach(row => {
+    const current = existingByKey.get(rowKey(row));
+    if (!current) {
+      diff.would_insert++;
+      addChange({ action: 'insert', key: pickKey(row), after: pickValues(row) });
+    } else if (SCORE_VALUE_COLUMNS.some(column => !sameValue(current[column], row[column]))) {
+      diff.would_update++;
+      addChange({ action: 'update', key: pickKey(row), before: pickValues(current), after: pickValues(row) });
+    } else {
+      diff.unchanged++;
+    }
+  });
+  
+  existing.filter(row => !incomingKeys.has(rowKey(row))).forEach(row => {
+    diff.would_delete_on_replace++;
+    addChange({ action: 'delete_on_replace', key: pickKey(row), before: pickValues(row) });
+  });
+  
+  diff.changes_truncated = diff.would_insert + diff.would_update + diff.would_delete_on_replace > diff.changes.length;
+  return diff;
+}
+
+// Bulk upload tuning
+const UPLOAD_BATCH_SIZE = parseInt(process.env.UPLOAD_BATCH_SIZE || '500', 10);
+const UPLOAD_MAX_RETRIES = parseInt(process.env.UPLOAD_MAX_RETRIES || '3', 10);
+const UPLOAD_RETRY_BASE_MS = parseInt(process.env.UPLOAD_RETRY_BASE_MS || '500', 10);
 
-  // Extract date from title line (line 0)
-  let dateInfo = extractDate(lines[0]);
-  if (!dateInfo && targetDate) {
-    // Fallback to provided target date
-    dateInfo = { startDate: targetDate, endDate: targetDate };
+// Postgres/PostgREST error codes worth retrying: connection loss, serialization/deadlock, timeouts
+const TRANSIENT_DB_ERROR_CODES = ['08000', '08003', '08006', '40001', '40P01', '53300', '57014', '57P01', 'PGRST000', 'PGRST001', 'PGRST002'];
+// HTTP statuses from the Supabase gateway worth retrying
+const TRANSIENT_HTTP_STATUSES = [408, 429, 502, 503, 504];
+// Connection failures that happen before a request is sent (refused, DNS) - safe to repeat even for inserts
+const UNSENT_REQUEST_ERROR_PATTERN = /ECONNREFUSED|ENOTFOUND|EAI_AGAIN/;
+
+/**
+ * Wrap a Supabase error, keeping its code and HTTP status so callers can tell transient failures apart
+ */
+function databaseError(message, supabaseError, status = null) {
+  const error = new Error(`${message}: ${supabaseError.message}`);
+  error.code = supabaseError.code;
+  error.status = status;
+  // For network failures supabase-js puts the underlying cause (e.g. "connect ECONNREFUSED") in details
+  error.details = supabaseError.details || null;
+  return error;
+}
+
+/**
+ * Whether a failed batch is worth retrying (network trouble, timeouts, lock conflicts)
+ */
+function isTransientUploadError(error) {
+  if (TRANSIENT_DB_ERROR_CODES.includes(error.code)) return true;
+  if (TRANSIENT_HTTP_STATUSES.includes(error.status)) return true;
+  // No HTTP response at all: the connection failed or dropped before PostgREST answered
+  return !error.status && /fetch failed|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT/i.test(`${error.message || ''}\n${error.details || ''}`);
+}
+
+/**
+ * Whether a failed request provably never reached PostgREST
+ * Only then is a plain insert retried: a dropped connection or timeout may have committed the
+ * batch, and inserting it again would fail on (or, without a unique key, duplicate) its rows.
+ */
+function isUnsentRequestError(error) {
+  return !error.status && UNSENT_REQUEST_ERROR_PATTERN.test(`${error.message || ''}\n${error.details || ''}`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Split rows into upload batches of at most batchSize rows
+ * Replace batches keep all rows of a store/day (or store/period) together: each batch deletes
+ * those pairs before inserting, so splitting a pair would wipe out its own earlier batch.
+ * A single pair larger than batchSize gets a batch of its own.
+ */
+function buildUploadBatches(rows, mode, batchSize) {
+  const batches = [];
+  
+  if (mode !== 'replace') {
+    for (let i = 0; i < rows.length; i += batchSize) {
+      batches.push(rows.slice(i, i + batchSize));
+    }
+    return batches;
   }
-  if (!dateInfo) {
-    throw new Error('Could not extract date from SMG CSV title line');
+  
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = `${row.store_id}|${scoreRowPeriod(row)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  
+  let current = [];
+  for (const group of groups.values()) {
+    if (current.length > 0 && current.length + group.length > batchSize) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(...group);
   }
+  if (current.length > 0) batches.push(current);
+  
+  return batches;
+}
 
-  console.log(`📅 SMG Date extracted: ${dateInfo.startDate}`);
-
-  // Parse headers (lines 1 and 2) - THIS IS WHERE THE ISSUE LIKELY IS
-  console.log('🏷️ DEBUG: About to parse headers...');
-  console.log('🏷️ Header line 1 (index 1):', JSON.stringify(lines[1]));
-  console.log('🏷️ Header line 2 (index 2):', JSON.stringify(lines[2]));
+/**
+ * Write one batch using the given upload mode; returns the counts reported by the database
+ */
+async function uploadBatch(table, rows, mode) {
+  if (mode === 'upsert') return upsertScoresTransactional(table, rows);
+  if (mode === 'replace') return replaceScoresTransactional(table, rows);
   
-  const headerLine1 = lines[1];
-  const headerLine2 = lines[2];
-  const metrics = parseHeaders(headerLine1, headerLine2);
+  if (mode === 'insert') {
+    // Plain insert (fails on duplicates)
+    const { error, status } = await supabase.from(table).insert(rows);
+    if (error) throw databaseError(`Insert into ${table} failed`, error, status);
+    return { inserted: rows.length };
+  }
+  
+  throw new Error(`Unsupported upload mode: ${mode}`);
+}
+
+/**
+ * Chunked, retrying bulk uploader shared by /smg-upload and /smg-pipeline
+ * Each batch is retried with exponential backoff on transient errors (insert batches only when the
+ * request was never sent); a batch that still fails is recorded and the remaining batches carry on.
+ * Statistics only count rows the database confirmed, so errors is the number of rows in failed batches.
+ * Returns { statistics, batches } with one outcome entry per batch
+ */
+async function uploadScoreRows(table, rows, mode, { batchSize = UPLOAD_BATCH_SIZE, maxRetries = UPLOAD_MAX_RETRIES } = {}) {
+  const batches = buildUploadBatches(rows, mode, batchSize);
+  const statistics = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    deleted: 0,
+    errors: 0,
+    total: rows.length,
+    batches_total: batches.length,
+    batches_failed: 0
+  };
+  const batchResults = [];
   
-  console.log(`🏷️ SMG Metrics found: ${metrics.map(m => m.name).join(', ')}`);
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    const batchStart = Date.now();
+    let attempts = 0;
+    
+    while (true) {
+      attempts++;
+      try {
+        const counts = await uploadBatch(table, batch, mode);
+        ['inserted', 'updated', 'unchanged', 'deleted'].forEach(key => {
+          statistics[key] += counts[key] || 0;
+        });
+        batchResults.push({
+          batch: i + 1,
+          rows: batch.length,
+          status: 'completed',
+          attempts: attempts,
+          duration_ms: Date.now() - batchStart,
+          ...counts
+        });
+        console.log(`📦 ${table} batch ${i + 1}/${batches.length}: ${batch.length} rows (${mode})`);
+        break;
+        
+      } catch (error) {
+        // upsert/replace batches are idempotent RPCs; an insert is only repeated if it was never sent
+        const retryable = mode === 'insert' ? isUnsentRequestError(error) : isTransientUploadError(error);
+        if (attempts <= maxRetries && retryable) {
+          const delay = UPLOAD_RETRY_BASE_MS * Math.pow(2, attempts - 1);
+          console.warn(`⚠️ ${table} batch ${i + 1}/${batches.length} failed (attempt ${attempts}), retrying in ${delay}ms: ${error.message}`);
+          await sleep(delay);
+          continue;
+        }
+        
+        statistics.errors += batch.length;
+        statistics.batches_failed++;
+        batchResults.push({
+          batch: i + 1,
+          rows: batch.length,
+          status: 'failed',
+          attempts: attempts,
+          duration_ms: Date.now() - batchStart,
+          error: error.message
+        });
+        console.error(`❌ ${table} batch ${i + 1}/${batches.length} failed after ${attempts} attempt(s): ${error.message}`);
+        break;
+      }
+    }
+  }
   
+  return { statistics, batches: batchResults };
+}
+
+/**
+ * Incremental SMG transformer using sophisticated parsing logic
+ * Feed tokenized records with addRecord(fields) and call finish() for the transformed records.
+ * Only the title/header records and the current row are held, so a report can be transformed
+ * while it streams in. Question layouts are auto-detected against REPORT_PROFILES;
+ * onFormatDetected, if given, receives the detection result (profiles used, skipped and
+ * unrecognised questions).
+ */
+function createSMGTransformer(targetDate = null, { rangeMode = 'reject', onFormatDetected = null } = {}) {
+  const headerRecords = [];
   const transformedData = [];
+  let recordCount = 0;
+  let recordDates = null;
+  let metrics = null;
+  
+  // Runs once the title and both header records are in and the first data record arrives
+  function startReport() {
+    // Extract date from title line (record 0)
+    let dateInfo = extractDate(headerRecords[0].join(','));
+    if (!dateInfo && targetDate) {
+      // Fallback to provided target date
+      dateInfo = { startDate: targetDate, endDate: targetDate };
+    }
+    if (!dateInfo) {
+      throw new Error('Could not extract date from SMG CSV title line');
+    }
+    
+    console.log(`📅 SMG Date extracted: ${dateInfo.startDate}`);
+    
+    // Multi-day reports (weekly/monthly exports) are period data, never a single day's scores
+    const startDate = normalizeDateForStorageUTC(dateInfo.startDate);
+    const endDate = normalizeDateForStorageUTC(dateInfo.endDate);
+    const isRangeReport = startDate !== endDate;
+    
+    if (isRangeReport && rangeMode !== 'period') {
+      const error = new Error(`Report covers ${startDate} - ${endDate}; daily loads need a single-day report (pass rangeMode: 'period' to load it into period_cx_scores)`);
+      error.code = 'RANGE_REPORT_REJECTED';
+      throw error;
+    }
+    
+    recordDates = isRangeReport ? { start_date: startDate, end_date: endDate } : { date: startDate };
+    
+    // Detect question layouts from the headers (lines 1 and 2)
+    console.log('🏷️ DEBUG: About to parse headers...');
+    console.log('🏷️ Header record 1 (index 1):', JSON.stringify(headerRecords[1]));
+    console.log('🏷️ Header record 2 (index 2):', JSON.stringify(headerRecords[2]));
+    
+    const reportFormat = detectReportFormat(headerRecords[1], headerRecords[2]);
+    metrics = reportFormat.metrics;
+    if (onFormatDetected) onFormatDetected(reportFormat);
+    
+    console.log(`🏷️ SMG Metrics found: ${metrics.map(m => m.name).join(', ')}`);
+  }
   
-  // Process data lines (line 3+)
-  for (let i = 3; i < lines.length; i++) {
-    const dataLine = lines[i];
-    if (!dataLine.trim()) continue;
+  function addRecord(fields) {
+    // Blank lines carry no data
+    if (!fields.some(field => field.trim())) return;
+    
+    const i = recordCount++;
+    if (i < 3) {
+      console.log(`   Record ${i}: ${JSON.stringify(fields.join(',').substring(0, 100))}...`);
+      headerRecords.push(fields);
+      return;
+    }
+    if (i === 3) startReport();
     
-    const values = parseCSVLine(dataLine);
+    // Process data records (record 3+)
+    const values = fields.map(v => v.trim());
     const storeLocation = values[0] || `Unknown_${i}`;
     
     // Skip header rows that might appear in data
     if (storeLocation.toLowerCase().includes('store id') || storeLocation === '') {
-      continue;
+      return;
     }
     
     console.log(`🏪 Processing store: ${storeLocation}`);
     
-    // For each metric, create records for each score (1-5)
+    // For each metric, create a record per score column its report profile maps
     metrics.forEach(metric => {
       const responseCount = cleanValue(values[metric.responseCountIndex]);
       
-      for (let score = 1; score <= 5; score++) {
-        const scoreIndex = metric.scoreIndices[score.toString()];
+      Object.entries(metric.scoreIndices).forEach(([scoreLabel, scoreIndex]) => {
+        const score = Number(scoreLabel);
         const responsePercent = cleanValue(values[scoreIndex]);
-        const actualResponseCount = Math.round(responseCount * responsePercent); // Convert percent to actual count
+        
+        // Suppressed (**) or missing cells stay null so they can't be mistaken for a real 0
+        const suppressedCells = [];
+        if (responseCount === null) suppressedCells.push('total_responses');
+        if (responsePercent === null) suppressedCells.push('response_percent');
+        const actualResponseCount = suppressedCells.length > 0 ? null : Math.round(responseCount * responsePercent); // Convert percent to actual count
         
         transformedData.push({
           store_location: storeLocation,
-          date: normalizeDateForStorageUTC(dateInfo.startDate),
+          ...recordDates,
           metric_name: metric.name,
           question: metric.name,
           score: score,
           response_percent: responsePercent,
           response_count: actualResponseCount,
-          total_responses: responseCount
+          total_responses: responseCount,
+          suppressed: suppressedCells.length > 0,
+          suppressed_cells: suppressedCells,
+          report_profile: metric.profile,
+          scale: metric.scale,
+          nps: metric.nps
         });
-      }
+      });
     });
   }
   
-  console.log(`✅ SMG Transform complete: ${transformedData.length} records created`);
-  return transformedData;
+  function finish() {
+    console.log('📊 Total records after processing:', recordCount);
+    
+    if (recordCount < 4) {
+      throw new Error('Invalid SMG CSV format - not enough lines');
+    }
+    
+    console.log(`✅ SMG Transform complete: ${transformedData.length} records created`);
+    return transformedData;
+  }
+  
+  return { addRecord, finish };
 }
 
-// TEST PAGE ENDPOINT
-app.get('/test', (req, res) => {
-  res.send(`
-<!DOCTYPE html>
-<html>
-<head>
-    <title>SMG Pipeline Tester</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 20px; background: #f9f9f9; }
-        .module { border: 1px solid #ccc; padding: 20px; margin: 10px 0; background: white; border-radius: 5px; }
-        button { background: #007cba; color: white; padding: 10px 20px; border: none; cursor: pointer; border-radius: 3px; }
-        button:hover { background: #005a87; }
-        .result { background: #f5f5f5; padding: 10px; margin: 10px 0; white-space: pre-wrap; font-family: monospace; border: 1px solid #ddd; max-height: 300px; overflow-y: auto; }
-        textarea { width: 100%; height: 80px; font-family: monospace; }
-        input, select { padding: 5px; }
-        .status { padding: 10px; margin: 10px 0; border-radius: 3px; }
-        .success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
-        .error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
-        .warning { background: #fff3cd; color: #856404; border: 1px solid #ffeaa7; }
-    </style>
-</head>
-<body>
-    <h1>🚀 SMG Pipeline Tester</h1>
-    <div class="status success">✅ Module 1 working! Test the other modules below:</div>
-    <div class="status warning">🔍 DEBUG VERSION: Added extensive logging to identify CSV format mismatch!</div>
-    
-    <div class="module">
-        <h3>📊 Module 2: Transform CSV Data</h3>
-        <p>Test SMG CSV transformation logic (with debug logging):</p>
-        <label>CSV Data:</label>
-        <textarea id="csvData">Full Scale Report: 6/26/2024 - 6/26/2024
-,Overall Experience - Weekdays,Overall Experience - Weekends
-,n,5,4,3,2,1,n,5,4,3,2,1
-QDOBA,100,20,30,25,15,10,80,25,35,20,15,5</textarea>
+/**
+ * Transform an SMG CSV string (see createSMGTransformer for options)
+ */
+function transformSMGCSV(csvContent, targetDate = null, options = {}) {
+  console.log('🔄 DEBUG transformSMGCSV() - START');
+  console.log('📊 CSV content length:', csvContent ? csvContent.length : 'NULL');
+  console.log('📊 Target date:', targetDate);
+  
+  // Tokenize into records; quoted fields may contain commas and newlines
+  const transformer = createSMGTransformer(targetDate, options);
+  const tokenizer = createCSVTokenizer(fields => transformer.addRecord(fields));
+  tokenizer.write(csvContent);
+  tokenizer.end();
+  
+  return transformer.finish();
+}
+
+/**
+ * Transform an SMG CSV text stream (an uploaded file) without holding the raw report in memory
+ * Resolves { records, lines } - lines is the physical line count, as for a CSV string
+ */
+async function transformSMGStream(textStream, targetDate = null, options = {}) {
+  console.log('🔄 DEBUG transformSMGStream() - START');
+  console.log('📊 Target date:', targetDate);
+  
+  const transformer = createSMGTransformer(targetDate, options);
+  const tokenizer = createCSVTokenizer(fields => transformer.addRecord(fields));
+  let lines = 1;
+  
+  for await (const chunk of textStream) {
+    for (let i = chunk.indexOf('\n'); i !== -1; i = chunk.indexOf('\n', i + 1)) lines++;
+    tokenizer.write(chunk);
+  }
+  tokenizer.end();
+  
+  return { records: transformer.finish(), lines };
+}
+
+// XLSX REPORTS - the portal's default Excel export, read into the same CSV layout as its CSV export
+// Merged cells carry their value only in the top-left cell (exceljs repeats it across the range),
+// so a merged category header spans its columns exactly as the CSV export's label-then-blanks does.
+// exceljs expands the whole workbook in memory, so the archive is checked first: its entries may
+// inflate to at most XLSX_MAX_EXPANDED_BYTES in total, and the sheet read to XLSX_MAX_CELLS cells.
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const XLSX_MAX_EXPANDED_BYTES = parseInt(process.env.XLSX_MAX_EXPANDED_BYTES || String(100 * 1024 * 1024), 10);
+const XLSX_MAX_CELLS = parseInt(process.env.XLSX_MAX_CELLS || '2000000', 10);
+
+/**
+ * .xlsx files are zip archives - check the local file header signature
+ */
+function isXlsxBuffer(buffer) {
+  return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+/**
+ * Text of one cell as the CSV export would write it
+ */
+function xlsxCellText(cell) {
+  // Only the master cell of a merged range holds the value
+  if (cell.isMerged && cell.master.address !== cell.address) return '';
+  
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return `${value.getUTCMonth() + 1}/${value.getUTCDate()}/${value.getUTCFullYear()}`;
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return value.result === undefined || value.result === null ? '' : xlsxCellText({ value: value.result });
+  if ('text' in value) return String(value.text);
+  return ''; // error values (#N/A etc.)
+}
+
+function workbookTooLarge(message, limitBytes) {
+  const error = new Error(message);
+  error.code = 'PAYLOAD_TOO_LARGE';
+  error.limitBytes = limitBytes;
+  return error;
+}
+
+/**
+ * Inflate one deflated zip entry only to count its bytes - the output is never kept
+ * Resolves 'too_large' as soon as more than maxBytes come out, 'corrupt' for a bad deflate
+ * stream, else 'ok'. zlib streams run on the libuv thread pool, so the event loop stays free.
+ */
+function measureInflatedEntry(compressed, maxBytes) {
+  return new Promise(resolve => {
+    const inflate = zlib.createInflateRaw();
+    let inflatedBytes = 0;
+    
+    inflate.on('data', chunk => {
+      inflatedBytes += chunk.length;
+      if (inflatedBytes > maxBytes) {
+        inflate.destroy();
+        resolve('too_large');
+      }
+    });
+    inflate.on('error', () => resolve('corrupt'));
+    inflate.on('end', () => resolve('ok'));
+    inflate.end(compressed);
+  });
+}
+
+/**
+ * Refuse a workbook whose zip entries expand past XLSX_MAX_EXPANDED_BYTES before exceljs loads it
+ * Sizes come from the central directory, and each deflated entry is inflated (counting only) with
+ * that size as its cap, so an entry that understates its size fails here rather than inside exceljs.
+ * Archives that cannot be walked are left for exceljs to report as INVALID_WORKBOOK; a corrupt entry
+ * is too (exceljs may never read it), but the entries after it are still checked.
+ */
+async function checkXlsxExpandedSize(buffer) {
+  // End of central directory record: 22 bytes plus a comment of up to 64 KB at the end of the file
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) return;
+  
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  let expandedBytes = 0;
+  for (let n = 0; n < entryCount; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return;
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24); // 0xFFFFFFFF (zip64) is over any sane limit
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    
+    expandedBytes += size;
+    if (expandedBytes > XLSX_MAX_EXPANDED_BYTES) {
+      throw workbookTooLarge(`Workbook expands past XLSX_MAX_EXPANDED_BYTES (${XLSX_MAX_EXPANDED_BYTES} bytes)`, XLSX_MAX_EXPANDED_BYTES);
+    }
+    
+    if (method !== 8 || localOffset + 30 > buffer.length) continue;
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const outcome = await measureInflatedEntry(buffer.subarray(dataStart, dataStart + compressedSize), size);
+    if (outcome === 'too_large') {
+      throw workbookTooLarge(`Workbook entry expands past its declared ${size} bytes`, XLSX_MAX_EXPANDED_BYTES);
+    }
+  }
+}
+
+function csvLine(fields) {
+  return fields.map(field => /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field).join(',');
+}
+
+/**
+ * Read a Full Scale Report workbook and return it as CSV text
+ * Uses the first sheet whose title row names a Full Scale Report, else the first non-empty sheet
+ */
+async function readXlsxReport(buffer) {
+  await checkXlsxExpandedSize(buffer);
+  
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    const workbookError = new Error(`Could not read .xlsx workbook: ${error.message}`);
+    workbookError.code = 'INVALID_WORKBOOK';
+    throw workbookError;
+  }
+  
+  const sheets = workbook.worksheets.filter(sheet => sheet.actualRowCount > 0);
+  const titleOf = sheet => {
+    for (let r = 1; r <= sheet.rowCount; r++) {
+      const text = sheet.getRow(r).values.filter(value => value !== null && value !== undefined).map(value => xlsxCellText({ value })).join(' ').trim();
+      if (text) return text;
+    }
+    return '';
+  };
+  const sheet = sheets.find(candidate => /full scale report/i.test(titleOf(candidate))) || sheets[0];
+  
+  if (!sheet) {
+    const error = new Error('Workbook has no non-empty sheet');
+    error.code = 'INVALID_WORKBOOK';
+    throw error;
+  }
+  
+  console.log(`📗 Reading sheet "${sheet.name}" (${sheet.rowCount} rows × ${sheet.columnCount} columns) of ${workbook.worksheets.length} sheet(s)`);
+  if (sheet.rowCount * sheet.columnCount > XLSX_MAX_CELLS) {
+    throw workbookTooLarge(`Sheet "${sheet.name}" spans ${sheet.rowCount} rows × ${sheet.columnCount} columns, more than XLSX_MAX_CELLS (${XLSX_MAX_CELLS})`);
+  }
+  
+  const lines = [];
+  for (let r = 1; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    const fields = [];
+    for (let c = 1; c <= sheet.columnCount; c++) fields.push(xlsxCellText(row.getCell(c)));
+    lines.push(csvLine(fields));
+  }
+  return lines.join('\n');
+}
+
+// STORE RESOLVER - shared SMG location → store_id mapping for /smg-transform and /smg-pipeline
+
+/**
+ * Key used to match raw SMG location strings against store_aliases
+ */
+function normalizeLocationKey(location) {
+  return location.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Create a store resolver backed by a cached index of the stores table
+ * The index is reloaded once it is older than ttlMs; concurrent callers share one reload.
+ * Match precedence is fixed: approved alias → store number (last 4 digits) → number without leading zeros → longest store name
+ */
+function createStoreResolver({ ttlMs = 5 * 60 * 1000 } = {}) {
+  let cachedIndex = null;
+  let pendingLoad = null;
+  
+  async function loadIndex() {
+    console.log('🏪 Loading store index from Supabase...');
+    const { data: stores, error } = await supabase
+      .from('stores')
+      .select('store_id, store_number, store_name');
+    
+    if (error) {
+      throw new Error(`Store lookup failed: ${error.message}`);
+    }
+    
+    // Aliases are optional - mapping still works from stores alone if the table is unavailable
+    const byAlias = new Map();
+    const { data: aliases, error: aliasError } = await supabase
+      .from('store_aliases')
+      .select('location_key, store_id');
+    
+    if (aliasError) {
+      console.warn(`⚠️ Store alias lookup failed, continuing without aliases: ${aliasError.message}`);
+    } else {
+      aliases.forEach(alias => byAlias.set(alias.location_key, alias.store_id));
+    }
+    
+    const byNumber = new Map();
+    stores.forEach(store => {
+      if (store.store_number) byNumber.set(store.store_number.toString(), store.store_id);
+    });
+    
+    // Longest name first so "Eden Prairie West" wins over "Eden Prairie"; ties broken alphabetically
+    const byName = stores
+      .filter(store => store.store_name)
+      .map(store => ({ name: store.store_name.toLowerCase(), store_id: store.store_id }))
+      .sort((a, b) => b.name.length - a.name.length || a.name.localeCompare(b.name));
+    
+    console.log(`🏪 Store index loaded: ${stores.length} stores, ${byAlias.size} aliases`);
+    return { loadedAt: Date.now(), stores, byAlias, byNumber, byName };
+  }
+  
+  /**
+   * Return the store index, reloading it when stale or when forceRefresh is set
+   */
+  async function getIndex({ forceRefresh = false } = {}) {
+    if (!forceRefresh && cachedIndex && Date.now() - cachedIndex.loadedAt < ttlMs) {
+      return cachedIndex;
+    }
+    if (!pendingLoad) {
+      pendingLoad = loadIndex()
+        .then(index => {
+          cachedIndex = index;
+          return index;
+        })
+        .finally(() => {
+          pendingLoad = null;
+        });
+    }
+    return pendingLoad;
+  }
+  
+  /**
+   * Resolve one SMG location string; returns { store_id, match_method } or null
+   */
+  function resolveLocation(index, location) {
+    const aliasStoreId = index.byAlias.get(normalizeLocationKey(location));
+    if (aliasStoreId) {
+      return { store_id: aliasStoreId, match_method: 'alias' };
+    }
+    
+    const storeNumberMatch = location.match(/(\d+)/);
+    if (storeNumberMatch) {
+      const allDigits = storeNumberMatch[1];
+      const storeNumber = allDigits.length >= 4 ? allDigits.slice(-4) : allDigits;
+      
+      if (index.byNumber.has(storeNumber)) {
+        return { store_id: index.byNumber.get(storeNumber), match_method: 'number' };
+      }
+      
+      // Also try with leading zeros removed in case database stores as integer
+      if (allDigits.length > 4) {
+        const storeNumberInt = parseInt(storeNumber, 10).toString();
+        if (index.byNumber.has(storeNumberInt)) {
+          return { store_id: index.byNumber.get(storeNumberInt), match_method: 'int-number' };
+        }
+      }
+    }
+    
+    const locationLower = location.toLowerCase();
+    const nameMatch = index.byName.find(entry => locationLower.includes(entry.name));
+    if (nameMatch) {
+      return { store_id: nameMatch.store_id, match_method: 'name' };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Attach store_id to transformed SMG records, dropping non-store entries and unmapped locations
+   * Returns database-ready rows plus per-location match details and the locations that could not be mapped
+   */
+  async function mapRecords(records) {
+    const index = await getIndex();
+    const rows = [];
+    const locations = new Map();
+    let skippedCount = 0;
+    
+    records.forEach(record => {
+      const storeLocation = record.store_location;
+      
+      // Skip non-store entries (Combined, Chad Reynolds, QDOBA, etc.) - unless an approved alias
+      // says the location is a store, which is how un-numbered store names get loaded
+      const hasAlias = index.byAlias.has(normalizeLocationKey(storeLocation));
+      if (!hasAlias && !isValidStoreLocation(storeLocation)) {
+        skippedCount++;
+        return;
+      }
+      
+      if (!locations.has(storeLocation)) {
+        locations.set(storeLocation, {
+          store_location: storeLocation,
+          ...resolveLocation(index, storeLocation),
+          records: 0,
+          recordsByDate: new Map()
+        });
+      }
+      const match = locations.get(storeLocation);
+      const reportDate = record.date || record.start_date;
+      match.records++;
+      match.recordsByDate.set(reportDate, (match.recordsByDate.get(reportDate) || 0) + 1);
+      
+      if (match.store_id) {
+        rows.push({
+          store_id: match.store_id,
+          ...scoreRowDates(record),
+          question: record.question,
+          score: record.score,
+          response_count: record.response_count,
+          response_percent: record.response_percent,
+          total_responses: record.total_responses,
+          suppressed: record.suppressed
+        });
+      }
+    });
+    
+    const matches = [...locations.values()]
+      .filter(location => location.store_id)
+      .map(({ recordsByDate, ...location }) => location);
+    const unmappedLocations = [...locations.values()].filter(location => !location.store_id);
+    
+    unmappedLocations.forEach(location => console.warn(`⚠️ Could not map store location: ${location.store_location}`));
+    await recordUnmappedSightings(unmappedLocations);
+    
+    const unmapped = unmappedLocations.map(location => ({
+      store_location: location.store_location,
+      records: location.records,
+      dates: [...location.recordsByDate.keys()].sort()
+    }));
+    
+    return {
+      rows,
+      skippedCount,
+      storesIndexed: index.stores.length,
+      matches,
+      unmapped
+    };
+  }
+  
+  return { getIndex, resolveLocation, mapRecords };
+}
+
+/**
+ * Add unmapped locations to the review queue (one sighting per location per report date)
+ * Expects locations carrying recordsByDate (report date → record count)
+ * Failures are logged, never raised - the queue must not block a load
+ */
+async function recordUnmappedSightings(unmapped) {
+  if (unmapped.length === 0) return;
+  
+  try {
+    const now = new Date().toISOString();
+    const sightings = unmapped.flatMap(location => [...location.recordsByDate].map(([reportDate, records]) => ({
+      location_key: normalizeLocationKey(location.store_location),
+      store_location: location.store_location,
+      report_date: reportDate,
+      records: records,
+      last_seen_at: now
+    })));
+    
+    const { error } = await supabase
+      .from('unmapped_location_sightings')
+      .upsert(sightings, { onConflict: 'location_key,report_date', ignoreDuplicates: false });
+    
+    if (error) throw new Error(error.message);
+  } catch (error) {
+    console.error('❌ Could not record unmapped locations:', error.message);
+  }
+}
+
+const storeResolver = createStoreResolver({
+  ttlMs: parseInt(process.env.STORE_CACHE_TTL_MS || '300000', 10)
+});
+
+// QUESTION SCALES - score range per question (1-5 unless a report says otherwise)
+// Transformed reports register each question's scale in question_scales (question-scales.sql);
+// /smg-upload checks scores against it and NPS questions get promoter/passive/detractor counts.
+const DEFAULT_QUESTION_SCALE = { min: 1, max: 5, nps: false };
+const NPS_PROMOTER_MIN = 9; // 9-10 promoters
+const NPS_PASSIVE_MIN = 7;  // 7-8 passives, 0-6 detractors
+
+/**
+ * Distinct question → { min, max, nps, report_profile } from transformed SMG records
+ */
+function questionScalesFromRecords(records) {
+  const scales = new Map();
+  records.filter(record => record.scale).forEach(record => {
+    scales.set(record.question, {
+      min: record.scale.min,
+      max: record.scale.max,
+      nps: Boolean(record.nps),
+      report_profile: record.report_profile
+    });
+  });
+  return scales;
+}
+
+/**
+ * Save the scale of every question in a transformed report to question_scales
+ * Failures are logged, never raised - the registry must not block a load
+ */
+async function registerQuestionScales(scales) {
+  if (scales.size === 0) return;
+  
+  try {
+    const now = new Date().toISOString();
+    const rows = [...scales].map(([question, scale]) => ({
+      question: question,
+      scale_min: scale.min,
+      scale_max: scale.max,
+      nps: scale.nps,
+      report_profile: scale.report_profile,
+      updated_at: now
+    }));
+    
+    const { error } = await supabase
+      .from('question_scales')
+      .upsert(rows, { onConflict: 'question', ignoreDuplicates: false });
+    
+    if (error) throw new Error(error.message);
+  } catch (error) {
+    console.error('❌ Could not record question scales:', error.message);
+  }
+}
+
+/**
+ * Registered scales for the given questions; questions never registered are left out
+ */
+async function fetchQuestionScales(questions) {
+  if (questions.length === 0) return new Map();
+  
+  const { data, error } = await supabase
+    .from('question_scales')
+    .select('question, scale_min, scale_max, nps')
+    .in('question', questions);
+  
+  if (error) throw new Error(`Question scale lookup failed: ${error.message}`);
+  return new Map(data.map(row => [row.question, { min: row.scale_min, max: row.scale_max, nps: row.nps }]));
+}
+
+/**
+ * Check each row's score against its question's scale (DEFAULT_QUESTION_SCALE when unknown)
+ * Errors have the same { code, path, message } shape as validateSchema
+ */
+function validateScoreScales(rows, scales, pathPrefix, errors = []) {
+  const reported = new Set(errors.map(error => error.path));
+  
+  rows.forEach((row, index) => {
+    const path = `${pathPrefix}/${index}/score`;
+    if (!Number.isInteger(row.score) || reported.has(path)) return; // already reported by the record schema
+    
+    const scale = scales.get(row.question) || DEFAULT_QUESTION_SCALE;
+    if (row.score < scale.min || row.score > scale.max) {
+      errors.push({
+        code: 'OUT_OF_RANGE',
+        path: path,
+        message: `must be between ${scale.min} and ${scale.max} for question "${row.question}"`,
+        scale: { min: scale.min, max: scale.max }
+      });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Promoter / passive / detractor counts and NPS per store, day (or period) and NPS question
+ * Only mapped stores are included; counts are null when any of the question's cells was suppressed
+ */
+function deriveNpsCounts(records, storeMatches) {
+  const storeIds = new Map(storeMatches.map(match => [match.store_location, match.store_id]));
+  const groups = new Map();
+  
+  records.filter(record => record.nps && storeIds.has(record.store_location)).forEach(record => {
+    const key = `${record.store_location}|${scoreRowPeriod(record)}|${record.question}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+  
+  return [...groups.values()].map(group => {
+    const first = group[0];
+    const suppressed = group.some(record => record.suppressed);
+    const countWhere = test => suppressed
+      ? null
+      : group.filter(record => test(record.score)).reduce((sum, record) => sum + record.response_count, 0);
+    
+    const promoters = countWhere(score => score >= NPS_PROMOTER_MIN);
+    const passives = countWhere(score => score >= NPS_PASSIVE_MIN && score < NPS_PROMOTER_MIN);
+    const detractors = countWhere(score => score < NPS_PASSIVE_MIN);
+    const rated = suppressed ? 0 : promoters + passives + detractors;
+    
+    return {
+      store_id: storeIds.get(first.store_location),
+      store_location: first.store_location,
+      ...scoreRowDates(first),
+      question: first.question,
+      total_responses: first.total_responses,
+      promoters: promoters,
+      passives: passives,
+      detractors: detractors,
+      nps: rated > 0 ? Math.round(((promoters - detractors) / rated) * 1000) / 10 : null,
+      suppressed: suppressed
+    };
+  });
+}
+
+// TEST PAGE ENDPOINT
+app.get('/test', (req, res) => {
+  res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>SMG Pipeline Tester</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; background: #f9f9f9; }
+        .module { border: 1px solid #ccc; padding: 20px; margin: 10px 0; background: white; border-radius: 5px; }
+        button { background: #007cba; color: white; padding: 10px 20px; border: none; cursor: pointer; border-radius: 3px; }
+        button:hover { background: #005a87; }
+        .result { background: #f5f5f5; padding: 10px; margin: 10px 0; white-space: pre-wrap; font-family: monospace; border: 1px solid #ddd; max-height: 300px; overflow-y: auto; }
+        textarea { width: 100%; height: 80px; font-family: monospace; }
+        input, select { padding: 5px; }
+        .status { padding: 10px; margin: 10px 0; border-radius: 3px; }
+        .success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
+        .error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
+        .warning { background: #fff3cd; color: #856404; border: 1px solid #ffeaa7; }
+    </style>
+</head>
+<body>
+    <h1>🚀 SMG Pipeline Tester</h1>
+    <div class="status success">✅ Module 1 working! Test the other modules below:</div>
+    <div class="status warning">🔍 DEBUG VERSION: Added extensive logging to identify CSV format mismatch!</div>
+    
+    <div class="module">
+        <h3>🔑 API Key</h3>
+        <p>Sent as X-API-Key with the requests below (transform and pipeline need an operator key):</p>
+        <input type="password" id="apiKey" size="50" placeholder="smg_...">
+    </div>
+    
+    <div class="module">
+        <h3>📊 Module 2: Transform CSV Data</h3>
+        <p>Test SMG CSV transformation logic (with debug logging):</p>
+        <label>CSV Data:</label>
+        <textarea id="csvData">Full Scale Report: 6/26/2024 - 6/26/2024
+,Overall Experience - Weekdays,Overall Experience - Weekends
+,n,5,4,3,2,1,n,5,4,3,2,1
+QDOBA,100,20,30,25,15,10,80,25,35,20,15,5</textarea>
         <br><br>
         <label>Date:</label> <input type="date" id="transformDate" value="2025-06-26">
         <br><br>
@@ -307,6 +1374,7 @@ QDOBA,100,20,30,25,15,10</textarea>
             <option value="upsert">Upsert (recommended)</option>
             <option value="insert">Insert</option>
             <option value="replace">Replace</option>
+            <option value="dry_run">Dry run (diff only)</option>
         </select>
         <br><br>
         <button onclick="testPipeline()">🚀 Test Full Pipeline</button>
@@ -326,6 +1394,13 @@ QDOBA,100,20,30,25,15,10</textarea>
     <script>
         const baseUrl = window.location.origin;
         
+        function requestHeaders() {
+            const headers = { 'Content-Type': 'application/json' };
+            const apiKey = document.getElementById('apiKey').value.trim();
+            if (apiKey) headers['X-API-Key'] = apiKey;
+            return headers;
+        }
+        
         async function testTransform() {
             const csvData = document.getElementById('csvData').value;
             const date = document.getElementById('transformDate').value;
@@ -337,7 +1412,7 @@ QDOBA,100,20,30,25,15,10</textarea>
             try {
                 const response = await fetch(baseUrl + '/smg-transform', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: requestHeaders(),
                     body: JSON.stringify({ csvData, date })
                 });
                 
@@ -367,7 +1442,7 @@ QDOBA,100,20,30,25,15,10</textarea>
             try {
                 const response = await fetch(baseUrl + '/smg-pipeline', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: requestHeaders(),
                     body: JSON.stringify({ csvData, uploadMode })
                 });
                 
@@ -402,34 +1477,95 @@ app.get('/', (req, res) => {
       '/smg-transform ✅ (DEBUG VERSION - EXTENSIVE LOGGING)', 
       '/smg-upload ✅',
       '/smg-pipeline ✅ (DEBUG VERSION - EXTENSIVE LOGGING)',
-      '/smg-status ✅'
+      '/smg-status ✅',
+      '/smg-download ✅',
+      '/smg-backfill ✅',
+      '/smg-unmapped-locations ✅',
+      '/smg-store-aliases ✅',
+      '/smg-runs ✅',
+      '/smg-jobs ✅',
+      '/smg-schedules ✅',
+      '/smg-gaps ✅',
+      '/smg-schemas ✅',
+      '/smg-report-profiles ✅',
+      '/smg-watch ✅',
+      '/smg-api-keys ✅',
+      '/smg-audit-log ✅'
     ],
     test_page: '/test',
     timestamp: new Date().toISOString()
   });
 });
 
-// MODULE 1: SMG Daily Dates - Simple 3 calendar day calculation
+// MODULE 1: SMG Daily Dates - Date-window service shared by /smg-daily-dates, /smg-pipeline and the scheduler
+// The strategies live in date-window.js; the calendar and daily_cx_scores lookups below are handed to it
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || 'America/Chicago';
+
+/**
+ * calendar rows between two dates, keyed by date
+ */
+async function fetchCalendarDays(fromDate, toDate) {
+  const { data: days, error } = await supabase
+    .from('calendar')
+    .select('date, is_weekend, is_holiday')
+    .gte('date', fromDate)
+    .lte('date', toDate);
+  
+  if (error) throw new Error(`Calendar lookup failed: ${error.message}`);
+  return new Map(days.map(day => [day.date, day]));
+}
+
+/**
+ * Which of the given dates already have daily_cx_scores rows
+ * One date-range query, paged by date: each page resumes after the last date it saw, so the
+ * remaining rows of a date already known to be loaded are never fetched
+ */
+async function datesWithScores(dates) {
+  const wanted = new Set(dates);
+  const found = new Set();
+  if (dates.length === 0) return found;
+  
+  const sorted = [...dates].sort();
+  const pageSize = 1000;
+  let cursor = null;
+  
+  while (true) {
+    let query = supabase
+      .from('daily_cx_scores')
+      .select('date')
+      .gte('date', sorted[0])
+      .lte('date', sorted[sorted.length - 1])
+      .order('date', { ascending: true })
+      .limit(pageSize);
+    if (cursor) query = query.gt('date', cursor);
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`daily_cx_scores lookup failed for ${sorted[0]} - ${sorted[sorted.length - 1]}: ${error.message}`);
+    
+    data.forEach(row => {
+      if (wanted.has(row.date)) found.add(row.date);
+    });
+    if (data.length < pageSize) return found;
+    cursor = data[data.length - 1].date;
+  }
+}
+
+const calculateDateWindow = createDateWindowCalculator({
+  fetchCalendarDays,
+  datesWithScores,
+  defaultTimezone: STORE_TIMEZONE
+});
+
 app.get('/smg-daily-dates', async (req, res) => {
   try {
     console.log('📅 Starting SMG daily dates calculation...');
     
-    const today = new Date();
-    const dates = [];
-    
-    // Calculate the last 3 calendar days (including today)
-    for (let i = 0; i < 3; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      dates.push(date.toISOString().split('T')[0]); // Format as YYYY-MM-DD
-    }
+    const { count, referenceDate, timezone, strategy, lookback } = req.query;
+    const calculation = await calculateDateWindow({ count, referenceDate, timezone, strategy, lookback });
     
     const result = {
       success: true,
-      dates: dates,
-      count: dates.length,
-      calculation_method: '3_calendar_days',
-      reference_date: today.toISOString().split('T')[0],
+      ...calculation,
       timestamp: new Date().toISOString()
     };
     
@@ -438,141 +1574,3727 @@ app.get('/smg-daily-dates', async (req, res) => {
     
   } catch (error) {
     console.error('❌ SMG daily dates error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
+    
+    if (error.code === 'INVALID_DATE_WINDOW') {
+      return res.status(400).json({
+        error: 'Invalid date window',
+        message: error.message,
+        strategies: DATE_WINDOW_STRATEGIES,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DATA QUALITY - Rule engine run on transformed rows between transform and upload
+// Each rule's action is warn (report only), block (the pipeline refuses to upload) or off.
+// Defaults below, overridden by the QUALITY_RULES env var (JSON) and then per request (qualityRules).
+const QUALITY_ACTIONS = ['warn', 'block', 'off'];
+const QUALITY_RULE_DEFAULTS = {
+  // Score percentages for a store/day/question should add up to ~100%
+  percent_sum: { action: 'warn', tolerance: 0.02 },
+  // Rounded per-score response_count values should add up to total_responses
+  response_count_sum: { action: 'warn', tolerance: 2 },
+  // Cells SMG masked as ** or left empty (stored as NULL)
+  suppressed_cells: { action: 'warn' },
+  // Store's daily response volume vs the previous day (relative change)
+  volume_swing: { action: 'warn', threshold: 0.5, min_responses: 20 }
+};
+const MAX_QUALITY_FINDINGS = 200;
+
+const qualityActionSchema = { type: 'string', enum: QUALITY_ACTIONS };
+const qualityRulesSchema = {
+  type: 'object',
+  description: 'Per-rule overrides, e.g. { "percent_sum": { "action": "block", "tolerance": 0.01 } }',
+  properties: {
+    percent_sum: {
+      type: 'object',
+      properties: { action: qualityActionSchema, tolerance: { type: 'number', minimum: 0 } },
+      additionalProperties: false
+    },
+    response_count_sum: {
+      type: 'object',
+      properties: { action: qualityActionSchema, tolerance: { type: 'number', minimum: 0 } },
+      additionalProperties: false
+    },
+    suppressed_cells: {
+      type: 'object',
+      properties: { action: qualityActionSchema },
+      additionalProperties: false
+    },
+    volume_swing: {
+      type: 'object',
+      properties: {
+        action: qualityActionSchema,
+        threshold: { type: 'number', minimum: 0 },
+        min_responses: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+let envQualityRules = null;
+
+/**
+ * QUALITY_RULES overrides, parsed on first use (invalid config is logged and ignored)
+ */
+function qualityRulesFromEnv() {
+  if (envQualityRules) return envQualityRules;
+  envQualityRules = {};
+  
+  if (process.env.QUALITY_RULES) {
+    try {
+      const parsed = JSON.parse(process.env.QUALITY_RULES);
+      const errors = validateSchema(parsed, qualityRulesSchema);
+      if (errors.length > 0) throw new Error(errors.map(error => `${error.path} ${error.message}`).join(', '));
+      envQualityRules = parsed;
+    } catch (error) {
+      console.error(`❌ Ignoring QUALITY_RULES: ${error.message}`);
+    }
+  }
+  
+  return envQualityRules;
+}
+
+function resolveQualityRules(overrides = {}) {
+  const envRules = qualityRulesFromEnv();
+  return Object.fromEntries(
+    Object.entries(QUALITY_RULE_DEFAULTS).map(([rule, defaults]) => [rule, { ...defaults, ...envRules[rule], ...overrides[rule] }])
+  );
+}
+
+/**
+ * Each store's response volume per day already in daily_cx_scores (max total_responses over questions)
+ */
+async function fetchDailyVolumes(date, storeIds) {
+  const pageSize = 1000;
+  const volumes = new Map();
+  
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase
+      .from('daily_cx_scores')
+      .select('store_id, total_responses')
+      .eq('date', date)
+      .eq('score', 5)
+      .in('store_id', storeIds)
+      .order('store_id', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+    
+    if (error) throw new Error(`Volume lookup for ${date} failed: ${error.message}`);
+    data
+      .filter(row => row.total_responses !== null)
+      .forEach(row => volumes.set(row.store_id, Math.max(volumes.get(row.store_id) || 0, row.total_responses)));
+    if (data.length < pageSize) return volumes;
+  }
+}
+
+/**
+ * Run the quality rules over transformed SMG records (as returned by transformSMGCSV)
+ * Only records for mapped stores are checked; storeMatches comes from storeResolver.mapRecords
+ * Returns { passed, blocked, rules, findings_total, findings, findings_truncated }
+ */
+async function runQualityChecks(records, storeMatches, overrides = {}) {
+  const rules = resolveQualityRules(overrides);
+  const storeIds = new Map(storeMatches.map(match => [match.store_location, match.store_id]));
+  const findings = [];
+  
+  const addFinding = (rule, record, message, details = {}) => {
+    if (rules[rule].action === 'off') return;
+    findings.push({
+      rule,
+      action: rules[rule].action,
+      store_location: record.store_location,
+      store_id: storeIds.get(record.store_location),
+      ...scoreRowDates(record),
+      ...(record.question ? { question: record.question } : {}),
+      message,
+      details
+    });
+  };
+  
+  // One group per store / day (or period) / question, holding its five score rows
+  const groups = new Map();
+  records.filter(record => storeIds.has(record.store_location)).forEach(record => {
+    const key = `${record.store_location}|${scoreRowPeriod(record)}|${record.question}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+  
+  const dailyVolumes = new Map(); // date -> Map(store_id -> volume)
+  
+  for (const group of groups.values()) {
+    const first = group[0];
+    const total = first.total_responses;
+    const suppressedCells = group.flatMap(record => record.suppressed_cells || []);
+    
+    if (suppressedCells.length > 0) {
+      addFinding('suppressed_cells', first, `${suppressedCells.length} suppressed or missing cells stored as NULL`, {
+        cells: [...new Set(suppressedCells)],
+        count: suppressedCells.length
+      });
+    }
+    
+    // Sums are meaningless when SMG masked part of the row or the layout has only some scores
+    const profile = REPORT_PROFILES_BY_KEY.get(first.report_profile);
+    if (total > 0 && suppressedCells.length === 0 && (!profile || profile.fullDistribution)) {
+      const percentSum = group.reduce((sum, record) => sum + record.response_percent, 0);
+      if (Math.abs(percentSum - 1) > rules.percent_sum.tolerance) {
+        addFinding('percent_sum', first, `Score percentages sum to ${(percentSum * 100).toFixed(1)}%`, {
+          percent_sum: Number(percentSum.toFixed(4)),
+          tolerance: rules.percent_sum.tolerance
+        });
+      }
+      
+      const countSum = group.reduce((sum, record) => sum + record.response_count, 0);
+      if (Math.abs(countSum - total) > rules.response_count_sum.tolerance) {
+        addFinding('response_count_sum', first, `response_count sums to ${countSum} but total_responses is ${total}`, {
+          response_count_sum: countSum,
+          total_responses: total,
+          tolerance: rules.response_count_sum.tolerance
+        });
+      }
+    }
+    
+    // A suppressed total says nothing about volume
+    if (first.date && total !== null) {
+      if (!dailyVolumes.has(first.date)) dailyVolumes.set(first.date, new Map());
+      const storeId = storeIds.get(first.store_location);
+      const volumes = dailyVolumes.get(first.date);
+      volumes.set(storeId, Math.max(volumes.get(storeId) || 0, total));
+    }
+  }
+  
+  if (rules.volume_swing.action !== 'off') {
+    const locationByStoreId = new Map([...storeIds].map(([location, storeId]) => [storeId, location]));
+    
+    for (const [date, volumes] of dailyVolumes) {
+      const previousDate = shiftDate(date, -1);
+      // Prefer the previous day from this same load, otherwise what is already in the database
+      const previousVolumes = dailyVolumes.get(previousDate) || await fetchDailyVolumes(previousDate, [...volumes.keys()]);
+      
+      for (const [storeId, volume] of volumes) {
+        const previous = previousVolumes.get(storeId);
+        if (previous === undefined || Math.max(previous, volume) < rules.volume_swing.min_responses) continue;
+        
+        const change = previous === 0 ? 1 : (volume - previous) / previous;
+        if (Math.abs(change) > rules.volume_swing.threshold) {
+          addFinding('volume_swing', { store_location: locationByStoreId.get(storeId), date }, `Responses changed ${change > 0 ? '+' : ''}${Math.round(change * 100)}% vs ${previousDate} (${previous} → ${volume})`, {
+            previous_date: previousDate,
+            previous_volume: previous,
+            volume: volume,
+            threshold: rules.volume_swing.threshold
+          });
+        }
+      }
+    }
+  }
+  
+  const blocked = findings.some(finding => finding.action === 'block');
+  return {
+    passed: !blocked,
+    blocked: blocked,
+    rules: Object.fromEntries(Object.entries(rules).map(([rule, config]) => [rule, {
+      ...config,
+      findings: findings.filter(finding => finding.rule === rule).length
+    }])),
+    findings_total: findings.length,
+    findings: findings.slice(0, MAX_QUALITY_FINDINGS),
+    findings_truncated: findings.length > MAX_QUALITY_FINDINGS
+  };
+}
+
+/**
+ * One-line summary of a quality report for logs and pipeline warnings
+ */
+function summarizeQualityFindings(report) {
+  const counts = Object.entries(report.rules)
+    .filter(([, rule]) => rule.findings > 0)
+    .map(([name, rule]) => `${name}: ${rule.findings} (${rule.action})`);
+  return `${report.findings_total} data quality findings - ${counts.join(', ')}`;
+}
+
+// REQUEST VALIDATION - JSON Schemas for POST bodies and score records, applied as middleware and published at /smg-schemas
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_VALIDATION_ERRORS = 100;
+
+const dateInputSchema = {
+  type: 'string',
+  pattern: '^(\\d{4}-\\d{2}-\\d{2}|\\d{1,2}/\\d{1,2}/\\d{4})$',
+  description: 'YYYY-MM-DD or M/D/YYYY'
+};
+const uploadModeSchema = { type: 'string', enum: UPLOAD_MODES };
+const rangeModeSchema = { type: 'string', enum: ['reject', 'period'] };
+const emptyBodySchema = { type: 'object', properties: {}, additionalProperties: false };
+
+/**
+ * Row schema for a score table - one row per (store, day or period, question, score)
+ */
+function scoreRecordSchema(table) {
+  const { keyColumns, dateColumns } = SCORE_TABLES[table];
+  return {
+    title: `${table} row`,
+    type: 'object',
+    required: keyColumns,
+    properties: {
+      store_id: { type: 'string', format: 'uuid' },
+      ...Object.fromEntries(dateColumns.map(column => [column, { type: 'string', format: 'date' }])),
+      question: { type: 'string', minLength: 1 },
+      // Checked against the question's own scale (1-5, or 0-10 for NPS) after schema validation
+      score: { type: 'integer', minimum: 0, maximum: 10 },
+      // null = suppressed (**) or missing in the SMG report
+      response_count: { type: ['integer', 'null'], minimum: 0 },
+      response_percent: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+      total_responses: { type: ['integer', 'null'], minimum: 0 },
+      suppressed: { type: 'boolean' }
+    },
+    additionalProperties: false
+  };
+}
+
+const RECORD_SCHEMAS = Object.fromEntries(
+  Object.keys(SCORE_TABLES).map(table => [table, scoreRecordSchema(table)])
+);
+
+const REQUEST_SCHEMAS = {
+  transform_request: {
+    title: 'POST /smg-transform',
+    type: 'object',
+    required: ['csvData', 'date'],
+    properties: {
+      csvData: { type: 'string', minLength: 1 },
+      date: dateInputSchema,
+      rangeMode: rangeModeSchema,
+      qualityRules: qualityRulesSchema
+    },
+    additionalProperties: false
+  },
+  upload_request: {
+    title: 'POST /smg-upload',
+    type: 'object',
+    required: ['data'],
+    properties: {
+      data: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'object' },
+        description: 'Rows matching the record schema of `table` (daily_cx_scores_record or period_cx_scores_record)'
+      },
+      mode: uploadModeSchema,
+      table: { type: 'string', enum: Object.keys(SCORE_TABLES) }
+    },
+    additionalProperties: false
+  },
+  pipeline_request: {
+    title: 'POST /smg-pipeline',
+    type: 'object',
+    properties: {
+      csvData: { type: 'string', minLength: 1 },
+      csvByDate: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+      dates: { type: 'array', minItems: 1, items: dateInputSchema },
+      dateWindow: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', minimum: 1, maximum: DATE_WINDOW_MAX_DAYS },
+          referenceDate: { type: 'string', format: 'date' },
+          timezone: { type: 'string', minLength: 1 },
+          strategy: { type: 'string', enum: DATE_WINDOW_STRATEGIES },
+          lookback: { type: 'integer', minimum: 1, maximum: DATE_WINDOW_MAX_DAYS }
+        },
+        additionalProperties: false
+      },
+      uploadMode: uploadModeSchema,
+      onDateMismatch: { type: 'string', enum: ['reject', 'flag'] },
+      rangeMode: rangeModeSchema,
+      qualityRules: qualityRulesSchema,
+      force: { type: 'boolean', description: 'Load reports even if already ingested (same as ?force=true)' }
+    },
+    oneOf: [{ required: ['csvData'] }, { required: ['csvByDate'] }],
+    additionalProperties: false
+  },
+  download_request: {
+    title: 'POST /smg-download',
+    type: 'object',
+    required: ['startDate'],
+    properties: {
+      startDate: dateInputSchema,
+      endDate: dateInputSchema,
+      runPipeline: { type: 'boolean' },
+      uploadMode: uploadModeSchema,
+      rangeMode: rangeModeSchema
+    },
+    additionalProperties: false
+  },
+  backfill_request: {
+    title: 'POST /smg-backfill',
+    type: 'object',
+    required: ['startDate', 'endDate'],
+    properties: {
+      startDate: dateInputSchema,
+      endDate: dateInputSchema,
+      uploadMode: uploadModeSchema
+    },
+    additionalProperties: false
+  },
+  gap_backfill_request: {
+    title: 'POST /smg-gaps/backfill',
+    type: 'object',
+    required: ['from', 'to'],
+    properties: {
+      from: { type: 'string', format: 'date' },
+      to: { type: 'string', format: 'date' },
+      uploadMode: uploadModeSchema,
+      excludeHolidays: { type: 'boolean' }
+    },
+    additionalProperties: false
+  },
+  store_alias_request: {
+    title: 'POST /smg-store-aliases',
+    type: 'object',
+    required: ['store_location', 'store_id'],
+    properties: {
+      store_location: { type: 'string', minLength: 1 },
+      store_id: { type: 'string', format: 'uuid' },
+      approved_by: { type: ['string', 'null'] }
+    },
+    additionalProperties: false
+  },
+  api_key_request: {
+    title: 'POST /smg-api-keys',
+    type: 'object',
+    required: ['name', 'role'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      role: { type: 'string', enum: API_ROLES }
+    },
+    additionalProperties: false
+  },
+  empty_request: {
+    title: 'POST endpoints without a body (backfill resume, schedule run/pause/resume)',
+    ...emptyBodySchema
+  }
+};
+
+/**
+ * Options schema for a report sent as a file upload - the JSON request schema minus its CSV properties
+ */
+function uploadOptionsSchema(schemaName) {
+  const { title, properties, required = [], oneOf, ...schema } = REQUEST_SCHEMAS[schemaName];
+  const { csvData, csvByDate, ...options } = properties;
+  return {
+    ...schema,
+    title: `${title} (multipart/form-data or text/csv)`,
+    description: 'Form fields or query parameters sent with an uploaded report',
+    required: required.filter(name => name !== 'csvData'),
+    properties: options
+  };
+}
+
+REQUEST_SCHEMAS.transform_upload_request = uploadOptionsSchema('transform_request');
+REQUEST_SCHEMAS.pipeline_upload_request = uploadOptionsSchema('pipeline_request');
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Validate a value against the JSON Schema subset used above
+ * (type, enum, required, properties, additionalProperties, items, min/max, minLength,
+ * minItems, pattern, format date|uuid, oneOf). Errors carry a machine code and a JSON pointer path.
+ */
+function validateSchema(value, schema, path = '', errors = []) {
+  const fail = (code, message, extra = {}) => errors.push({ code, path, message, ...extra });
+  const actualType = schemaTypeOf(value);
+  
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => type === actualType || (type === 'number' && actualType === 'integer'))) {
+      fail('INVALID_TYPE', `must be ${types.join(' or ')}`, { expected: types, received: actualType });
+      return errors;
+    }
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('INVALID_ENUM', `must be one of ${schema.enum.join(', ')}`, { allowed: schema.enum });
+  }
+  
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('TOO_SHORT', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('INVALID_FORMAT', `must be ${schema.description || `a string matching ${schema.pattern}`}`);
+    }
+    if (schema.format === 'date' && !isValidISODate(value)) {
+      fail('INVALID_FORMAT', 'must be a YYYY-MM-DD date');
+    }
+    if (schema.format === 'uuid' && !UUID_PATTERN.test(value)) {
+      fail('INVALID_FORMAT', 'must be a UUID');
+    }
+  }
+  
+  if (actualType === 'integer' || actualType === 'number') {
+    const tooSmall = schema.minimum !== undefined && value < schema.minimum;
+    const tooLarge = schema.maximum !== undefined && value > schema.maximum;
+    if (tooSmall || tooLarge) {
+      const range = schema.minimum !== undefined && schema.maximum !== undefined
+        ? `between ${schema.minimum} and ${schema.maximum}`
+        : schema.minimum !== undefined ? `at least ${schema.minimum}` : `at most ${schema.maximum}`;
+      fail('OUT_OF_RANGE', `must be ${range}`, { received: value });
+    }
+  }
+  
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('TOO_FEW_ITEMS', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(item, schema.items, `${path}/${index}`, errors));
+    }
+  }
+  
+  if (actualType === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(field => {
+      if (value[field] === undefined) fail('REQUIRED', 'is required', { path: `${path}/${escapePointerSegment(field)}` });
+    });
+    
+    Object.keys(value).forEach(field => {
+      const fieldPath = `${path}/${escapePointerSegment(field)}`;
+      if (properties[field]) {
+        validateSchema(value[field], properties[field], fieldPath, errors);
+      } else if (schema.additionalProperties === false) {
+        fail('UNKNOWN_PROPERTY', 'is not a recognised property', { path: fieldPath });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(value[field], schema.additionalProperties, fieldPath, errors);
+      }
+    });
+  }
+  
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(branch => validateSchema(value, branch, path).length === 0).length;
+    if (matches !== 1) {
+      const alternatives = schema.oneOf.map(branch => (branch.required || []).join(' + ')).join(' | ');
+      fail('ONE_OF_MISMATCH', `must include exactly one of: ${alternatives}`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * 400 response in the shared validation envelope
+ */
+function sendValidationErrors(res, errors, schemaName) {
+  return res.status(400).json({
+    error: 'Request validation failed',
+    code: 'VALIDATION_FAILED',
+    schema: `/smg-schemas/${schemaName}`,
+    validation_errors: errors.slice(0, MAX_VALIDATION_ERRORS),
+    validation_error_count: errors.length,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Middleware validating req.body against a REQUEST_SCHEMAS entry
+ */
+function validateBody(schemaName) {
+  const schema = REQUEST_SCHEMAS[schemaName];
+  if (!schema) throw new Error(`Unknown request schema: ${schemaName}`);
+  
+  return (req, res, next) => {
+    const errors = validateSchema(req.body, schema);
+    if (errors.length > 0) return sendValidationErrors(res, errors, schemaName);
+    next();
+  };
+}
+
+/**
+ * A request or record schema as published, with its dialect and id
+ */
+function publishedSchema(name) {
+  const table = name.endsWith('_record') ? name.slice(0, -'_record'.length) : null;
+  const schema = Object.hasOwn(REQUEST_SCHEMAS, name) ? REQUEST_SCHEMAS[name]
+    : table && Object.hasOwn(RECORD_SCHEMAS, table) ? RECORD_SCHEMAS[table] : null;
+  if (!schema) return null;
+  return { $schema: JSON_SCHEMA_DIALECT, $id: `/smg-schemas/${name}`, ...schema };
+}
+
+// Malformed and oversized JSON bodies get the same envelope instead of Express's HTML error page
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Request body too large',
+      code: 'PAYLOAD_TOO_LARGE',
+      message: `JSON bodies are limited to ${JSON_BODY_LIMIT} (JSON_BODY_LIMIT) - upload large reports as multipart/form-data or text/csv`,
+      limit_bytes: error.limit,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (error.type !== 'entity.parse.failed') return next(error);
+  res.status(400).json({
+    error: 'Request validation failed',
+    code: 'INVALID_JSON',
+    validation_errors: [{ code: 'INVALID_JSON', path: '', message: error.message }],
+    validation_error_count: 1,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// IDEMPOTENCY - POST requests with an Idempotency-Key header are run once per API key, key and endpoint;
+// a retry gets the stored response back (Idempotent-Replayed: true). force=true in the query runs
+// the request again and replaces the stored response. 5xx responses are not kept, so they can be retried.
+// A claim whose request never answered (the client went away, or the process restarted) is dropped,
+// or taken over once it is older than IDEMPOTENCY_LEASE_MS.
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+const IDEMPOTENCY_LEASE_MS = parseInt(process.env.IDEMPOTENCY_LEASE_MS || String(15 * 60 * 1000), 10);
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+function sendIdempotencyError(res, status, code, message) {
+  res.status(status).json({
+    error: 'Idempotency-Key conflict',
+    code: code,
+    message: message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Check force=true and the Idempotency-Key header of a POST, claiming the key for JSON bodies
+ * Uploads are still unread here: /smg-pipeline claims the key once bufferPipelineUpload has read
+ * the files, and streamed /smg-transform uploads cannot be compared with a retry, so are refused.
+ */
+async function handleIdempotency(req, res, next) {
+  if (req.method !== 'POST') return next();
+  
+  req.force = req.query.force === 'true';
+  delete req.query.force; // not an upload option
+  
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return sendIdempotencyError(res, 400, 'INVALID_IDEMPOTENCY_KEY', `Idempotency-Key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters`);
+  }
+  
+  // The create response holds the new key in plain text, which must never be stored
+  if (req.path.startsWith('/smg-api-keys')) {
+    return sendIdempotencyError(res, 400, 'IDEMPOTENCY_KEY_UNSUPPORTED', 'Idempotency-Key is not supported on /smg-api-keys - its responses are never stored');
+  }
+  
+  if (isCsvUploadRequest(req)) {
+    if (req.path === '/smg-pipeline') return next();
+    return sendIdempotencyError(res, 400, 'IDEMPOTENCY_KEY_UNSUPPORTED', `Idempotency-Key is not supported for file uploads to ${req.path} - send a JSON body instead`);
+  }
+  
+  if (await claimIdempotencyKey(req, res)) next();
+}
+
+/**
+ * Claim the request's Idempotency-Key, or replay / refuse when it has been used
+ * Resolves true when the request should run, false once a replay or error response was sent
+ */
+async function claimIdempotencyKey(req, res) {
+  const key = req.get('Idempotency-Key');
+  // Each caller has its own keys, so one cannot replay another's response ('' with authentication off)
+  const scope = req.apiKey ? req.apiKey.id || req.apiKey.name : '';
+  const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
+  const claim = {
+    api_key_scope: scope,
+    idempotency_key: key,
+    endpoint: req.path,
+    request_hash: requestHash,
+    response_status: null,
+    response_body: null,
+    created_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 3600000).toISOString(),
+    completed_at: null
+  };
+  const inProgress = () => sendIdempotencyError(res, 409, 'IDEMPOTENCY_KEY_IN_PROGRESS', `A request with Idempotency-Key ${key} is still running - retry later`);
+  
+  try {
+    const { data: existing, error } = await supabase
+      .from('idempotency_keys')
+      .select('*')
+      .eq('api_key_scope', scope)
+      .eq('idempotency_key', key)
+      .eq('endpoint', req.path)
+      .limit(1);
+    
+    if (error) throw new Error(`idempotency_keys lookup failed: ${error.message}`);
+    
+    const previous = existing[0] && Date.parse(existing[0].expires_at) > Date.now() ? existing[0] : null;
+    const abandoned = previous && previous.response_status === null && Date.now() - Date.parse(previous.created_at) > IDEMPOTENCY_LEASE_MS;
+    if (previous && !req.force && !abandoned) {
+      if (previous.request_hash && previous.request_hash !== requestHash) {
+        sendIdempotencyError(res, 422, 'IDEMPOTENCY_KEY_REUSED', `Idempotency-Key ${key} was already used with a different request body on ${req.path}`);
+        return false;
+      }
+      if (previous.response_status === null) {
+        inProgress();
+        return false;
+      }
+      
+      console.log(`🔁 Replaying ${req.path} response for Idempotency-Key ${key}`);
+      res.set('Idempotent-Replayed', 'true');
+      res.status(previous.response_status).json(previous.response_body);
+      return false;
+    }
+    
+    // Expired, abandoned or forced keys are taken over only while still the row that was read, and a
+    // fresh key is inserted, so of two concurrent claims one conflicts
+    if (existing[0]) {
+      const { data: claimed, error: claimError } = await supabase
+        .from('idempotency_keys')
+        .update(claim)
+        .eq('api_key_scope', scope)
+        .eq('idempotency_key', key)
+        .eq('endpoint', req.path)
+        .eq('created_at', existing[0].created_at)
+        .select('idempotency_key');
+      
+      if (claimError) throw new Error(`idempotency_keys claim failed: ${claimError.message}`);
+      if (claimed.length === 0) {
+        inProgress();
+        return false;
+      }
+      if (abandoned) console.warn(`⚠️ Taking over abandoned Idempotency-Key ${key} on ${req.path}`);
+    } else {
+      const { error: claimError } = await supabase.from('idempotency_keys').insert(claim);
+      
+      if (claimError && claimError.code === '23505') {
+        inProgress();
+        return false;
+      }
+      if (claimError) throw new Error(`idempotency_keys claim failed: ${claimError.message}`);
+    }
+  } catch (error) {
+    console.error('❌ Idempotency check error:', error.message);
+    res.status(500).json({
+      error: 'Idempotency check failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+  
+  let responseBody = null;
+  const json = res.json.bind(res);
+  res.json = body => {
+    responseBody = body;
+    return json(body);
+  };
+  
+  // Only this request's claim is touched - a takeover after the lease gave the row a new created_at
+  const ownClaim = query => query
+    .eq('api_key_scope', scope)
+    .eq('idempotency_key', key)
+    .eq('endpoint', req.path)
+    .eq('created_at', claim.created_at);
+  const release = async reason => {
+    const { error } = await ownClaim(supabase.from('idempotency_keys').delete());
+    if (error) console.error(`❌ Could not release Idempotency-Key ${key} (${reason}):`, error.message);
+  };
+  
+  res.on('finish', async () => {
+    if (res.statusCode >= 500) return release('server error');
+    
+    const { error } = await ownClaim(supabase
+      .from('idempotency_keys')
+      .update({ response_status: res.statusCode, response_body: responseBody, completed_at: new Date().toISOString() }));
+    
+    if (error) console.error(`❌ Could not store response for Idempotency-Key ${key}:`, error.message);
+  });
+  
+  // The client went away before the response was sent - let its retry run the request again
+  res.on('close', () => {
+    if (!res.writableFinished) release('response not sent');
+  });
+  
+  return true;
+}
+
+app.use(handleIdempotency);
+
+app.get('/smg-schemas', (req, res) => {
+  const names = [
+    ...Object.keys(REQUEST_SCHEMAS),
+    ...Object.keys(RECORD_SCHEMAS).map(table => `${table}_record`)
+  ];
+  
+  res.json({
+    success: true,
+    dialect: JSON_SCHEMA_DIALECT,
+    schemas: Object.fromEntries(names.map(name => [name, publishedSchema(name)])),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/smg-schemas/:name', (req, res) => {
+  const schema = publishedSchema(req.params.name);
+  
+  if (!schema) {
+    return res.status(404).json({
+      error: `Schema not found: ${req.params.name}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json(schema);
+});
+
+// Report profiles the transformer auto-detects, in the order they are tried
+app.get('/smg-report-profiles', (req, res) => {
+  res.json({
+    success: true,
+    profiles: REPORT_PROFILES.map(profile => ({
+      profile: reportProfileKey(profile),
+      id: profile.id,
+      version: profile.version,
+      description: profile.description,
+      sub_headers: profile.subHeaders.map(header => header instanceof RegExp ? header.toString() : header),
+      scores: Object.keys(profile.scores).map(Number),
+      scale: profile.scale || null,
+      nps: Boolean(profile.nps),
+      loadable: Object.keys(profile.scores).length > 0
+    })),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// CSV UPLOADS - reports sent as multipart/form-data files or a raw text/csv body instead of a
+// csvData string in JSON. Either may be gzip-compressed (Content-Encoding: gzip for raw bodies,
+// a .gz name or gzip content type for files). CSV_UPLOAD_MAX_BYTES caps each decompressed file and
+// CSV_UPLOAD_MAX_TOTAL_BYTES what /smg-pipeline buffers per request. The other options come from
+// form fields (sent before the file part - a field after it is rejected) or the query string.
+// .xlsx workbooks (an .xlsx name or the spreadsheet content type) are converted with readXlsxReport.
+const CSV_UPLOAD_MAX_BYTES = parseInt(process.env.CSV_UPLOAD_MAX_BYTES || String(50 * 1024 * 1024), 10);
+const CSV_UPLOAD_MAX_FILES = parseInt(process.env.CSV_UPLOAD_MAX_FILES || '31', 10);
+const CSV_UPLOAD_MAX_TOTAL_BYTES = parseInt(process.env.CSV_UPLOAD_MAX_TOTAL_BYTES || String(100 * 1024 * 1024), 10);
+const RAW_CSV_CONTENT_TYPES = ['text/csv', 'text/plain', 'application/gzip', 'application/x-gzip', XLSX_CONTENT_TYPE];
+const GZIP_CONTENT_TYPES = ['application/gzip', 'application/x-gzip'];
+
+function isCsvUploadRequest(req) {
+  return Boolean(req.is(['multipart/form-data', ...RAW_CSV_CONTENT_TYPES]));
+}
+
+function csvUploadError(message, code = 'INVALID_CSV_UPLOAD', limitBytes = CSV_UPLOAD_MAX_BYTES) {
+  const error = new Error(message);
+  error.code = code;
+  if (code === 'PAYLOAD_TOO_LARGE') error.limitBytes = limitBytes;
+  return error;
+}
+
+/**
+ * Decompress (when gzipped) and size-limit an uploaded report; returns a UTF-8 text stream
+ * Once the text stream closes the gunzip stream and the source are destroyed however the read
+ * ended - except with drainSource (the HTTP request itself), which is unpiped and drained so the
+ * response can still be sent
+ */
+function openCsvStream(source, { gzip = false, encoding = 'utf8', drainSource = false } = {}) {
+  let bytes = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > CSV_UPLOAD_MAX_BYTES) {
+        return callback(csvUploadError(`CSV upload exceeds CSV_UPLOAD_MAX_BYTES (${CSV_UPLOAD_MAX_BYTES} bytes)`, 'PAYLOAD_TOO_LARGE'));
+      }
+      callback(null, chunk);
+    }
+  });
+  
+  let input = source;
+  if (gzip) {
+    input = source.pipe(zlib.createGunzip());
+    input.on('error', error => limiter.destroy(csvUploadError(`Could not decompress gzip upload: ${error.message}`)));
+  }
+  source.on('error', error => limiter.destroy(error));
+  // The reader sees errors through the stream; this listener only keeps one raised before the
+  // reader attaches (say the upload options failed validation first) from crashing the process
+  limiter.on('error', () => {});
+  limiter.on('close', () => {
+    if (input !== source) input.destroy();
+    if (drainSource) {
+      source.unpipe();
+      source.resume();
+    } else {
+      source.destroy();
+    }
+  });
+  input.pipe(limiter);
+  if (encoding) limiter.setEncoding(encoding);
+  return limiter;
+}
+
+/**
+ * Read an uploaded .xlsx workbook (size-limited like a CSV) and stream it back as CSV text
+ */
+function openXlsxStream(source, { gzip = false, drainSource = false } = {}) {
+  const binary = openCsvStream(source, { gzip, encoding: null, drainSource });
+  const textStream = Readable.from((async function* () {
+    const chunks = [];
+    for await (const chunk of binary) {
+      chunks.push(chunk);
+    }
+    yield await readXlsxReport(Buffer.concat(chunks));
+  })(), { objectMode: false });
+  textStream.on('close', () => binary.destroy());
+  return textStream;
+}
+
+/**
+ * Read the report file(s) of an upload request
+ * Each file is handed to onFile(name, textStream, fields) as it arrives - fields holds the form
+ * fields seen so far. A raw body is a single file named 'file'. Resolves { fields, files } with
+ * onFile's result per file once the whole request has been read.
+ */
+function readCsvUpload(req, onFile) {
+  if (!req.is('multipart/form-data')) {
+    const gzip = req.get('content-encoding') === 'gzip' || Boolean(req.is(GZIP_CONTENT_TYPES));
+    const textStream = req.is(XLSX_CONTENT_TYPE)
+      ? openXlsxStream(req, { gzip, drainSource: true })
+      : openCsvStream(req, { gzip, drainSource: true });
+    return onFile('file', textStream, {})
+      .finally(() => textStream.destroy())
+      .then(result => ({ fields: {}, files: [{ name: 'file', filename: null, result }] }));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const pending = [];
+    let settled = false;
+    let parser;
+    
+    const fail = error => {
+      if (settled) return;
+      settled = true;
+      // Stop parsing and let the rest of the body drain so the error response can be sent
+      req.unpipe(parser);
+      req.resume();
+      reject(error);
+    };
+    
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: CSV_UPLOAD_MAX_FILES, fields: 50, fieldSize: 1024 * 1024, fileSize: CSV_UPLOAD_MAX_BYTES }
+      });
+    } catch (error) {
+      return reject(csvUploadError(`Malformed multipart upload: ${error.message}`));
+    }
+    
+    parser.on('field', (name, value) => {
+      if (pending.length > 0) {
+        return fail(csvUploadError(`Form field "${name}" was sent after the file part - send option fields first`));
+      }
+      fields[name] = value;
+    });
+    parser.on('file', (name, stream, info) => {
+      const gzip = GZIP_CONTENT_TYPES.includes(info.mimeType) || /\.gz$/i.test(info.filename || '');
+      const xlsx = info.mimeType === XLSX_CONTENT_TYPE || /\.xlsx(\.gz)?$/i.test(info.filename || '');
+      stream.on('limit', () => stream.emit('error', csvUploadError(`CSV upload exceeds CSV_UPLOAD_MAX_BYTES (${CSV_UPLOAD_MAX_BYTES} bytes)`, 'PAYLOAD_TOO_LARGE')));
+      
+      const textStream = xlsx ? openXlsxStream(stream, { gzip }) : openCsvStream(stream, { gzip });
+      const task = onFile(name, textStream, { ...fields })
+        .finally(() => textStream.destroy())
+        .then(result => ({ name, filename: info.filename || null, result }));
+      task.catch(fail);
+      pending.push(task);
+    });
+    parser.on('filesLimit', () => fail(csvUploadError(`At most ${CSV_UPLOAD_MAX_FILES} files per upload (CSV_UPLOAD_MAX_FILES)`)));
+    parser.on('error', error => fail(csvUploadError(`Malformed multipart upload: ${error.message}`)));
+    parser.on('close', () => {
+      Promise.all(pending).then(files => {
+        if (settled) return;
+        settled = true;
+        resolve({ fields, files });
+      }, fail);
+    });
+    
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Turn form fields / query parameters (all strings) into options for an upload request schema
+ * Object, array, number and boolean options are JSON; arrays also accept a comma-separated list
+ */
+function parseUploadOptions(rawFields, schemaName) {
+  const { properties } = REQUEST_SCHEMAS[schemaName];
+  
+  return Object.fromEntries(Object.entries(rawFields).map(([name, value]) => {
+    const type = properties[name] ? properties[name].type : 'string';
+    if (typeof value !== 'string' || type === 'string') return [name, value];
+    if (type === 'array' && !value.trim().startsWith('[')) {
+      return [name, value.split(',').map(item => item.trim()).filter(Boolean)];
+    }
+    try {
+      return [name, JSON.parse(value)];
+    } catch (error) {
+      return [name, value]; // left as a string so validation reports the type
+    }
+  }));
+}
+
+/**
+ * Validate upload options, throwing VALIDATION_FAILED with the schema errors
+ */
+function validateUploadOptions(options, schemaName) {
+  const errors = validateSchema(options, REQUEST_SCHEMAS[schemaName]);
+  if (errors.length === 0) return options;
+  
+  const error = csvUploadError(`Upload options do not match ${schemaName}`, 'VALIDATION_FAILED');
+  error.validationErrors = errors;
+  error.schemaName = schemaName;
+  throw error;
+}
+
+/**
+ * Send a CSV upload failure - 413 when over the size limit, 400 otherwise
+ * Returns false for errors that did not come from reading the upload
+ */
+function sendCsvUploadError(res, error) {
+  if (error.code === 'VALIDATION_FAILED') {
+    sendValidationErrors(res, error.validationErrors, error.schemaName);
+    return true;
+  }
+  if (!['PAYLOAD_TOO_LARGE', 'INVALID_CSV_UPLOAD', 'INVALID_WORKBOOK'].includes(error.code)) return false;
+  
+  res.status(error.code === 'PAYLOAD_TOO_LARGE' ? 413 : 400).json({
+    error: {
+      PAYLOAD_TOO_LARGE: 'CSV upload too large',
+      INVALID_CSV_UPLOAD: 'Invalid CSV upload',
+      INVALID_WORKBOOK: 'Invalid .xlsx workbook'
+    }[error.code],
+    code: error.code,
+    message: error.message,
+    ...(error.code === 'PAYLOAD_TOO_LARGE' ? { limit_bytes: error.limitBytes } : {}),
+    timestamp: new Date().toISOString()
+  });
+  return true;
+}
+
+/**
+ * /smg-pipeline upload middleware: buffer the uploaded report(s) into req.body so the JSON
+ * validation and pipeline run unchanged (the pipeline needs each whole report for its title-date
+ * checks and for queued jobs). A file named file/csv/csvData is csvData; files named by date
+ * (YYYY-MM-DD or csvByDate[YYYY-MM-DD]) make up csvByDate. Unlike /smg-transform the whole
+ * upload is held in memory, so CSV_UPLOAD_MAX_TOTAL_BYTES caps it across all files. An
+ * Idempotency-Key is claimed here, against the files read, rather than by handleIdempotency.
+ */
+async function bufferPipelineUpload(req, res, next) {
+  if (!isCsvUploadRequest(req)) return next();
+  
+  try {
+    const { async: asyncMode, ...query } = req.query;
+    let totalBytes = 0;
+    const { fields, files } = await readCsvUpload(req, async (name, textStream) => {
+      let csv = '';
+      for await (const chunk of textStream) {
+        totalBytes += Buffer.byteLength(chunk);
+        if (totalBytes > CSV_UPLOAD_MAX_TOTAL_BYTES) {
+          throw csvUploadError(`Pipeline upload exceeds CSV_UPLOAD_MAX_TOTAL_BYTES (${CSV_UPLOAD_MAX_TOTAL_BYTES} bytes across all files)`, 'PAYLOAD_TOO_LARGE', CSV_UPLOAD_MAX_TOTAL_BYTES);
+        }
+        csv += chunk;
+      }
+      return csv;
+    });
+    
+    if (files.length === 0) throw csvUploadError('Multipart upload has no CSV file part');
+    
+    const csvByDate = {};
+    let csvData = null;
+    files.forEach(file => {
+      const dateName = file.name.match(/^(?:csvByDate\[)?(\d{4}-\d{2}-\d{2})\]?$/);
+      if (dateName) {
+        csvByDate[dateName[1]] = file.result;
+      } else if (['file', 'csv', 'csvData'].includes(file.name) && csvData === null) {
+        csvData = file.result;
+      } else {
+        throw csvUploadError(`Unexpected file part "${file.name}" - use one file named "file", or one file per date named YYYY-MM-DD`);
+      }
+    });
+    if (csvData !== null && Object.keys(csvByDate).length > 0) {
+      throw csvUploadError('Send either one report file or one file per date, not both');
+    }
+    
+    req.body = {
+      ...parseUploadOptions({ ...query, ...fields }, 'pipeline_upload_request'),
+      ...(csvData !== null ? { csvData } : { csvByDate })
+    };
+    console.log(`📎 Pipeline upload: ${files.length} file(s), ${files.reduce((sum, file) => sum + file.result.length, 0)} characters`);
+  } catch (error) {
+    console.error('❌ Pipeline upload error:', error.message);
+    if (!sendCsvUploadError(res, error)) next(error);
+    return;
+  }
+  
+  // Form fields such as uploadMode were unknown when the API key was checked
+  if (!checkRouteRole(req, res)) return;
+  
+  // Now that the files are read the key can be claimed against them, as for a JSON body
+  if (req.get('Idempotency-Key') !== undefined && !(await claimIdempotencyKey(req, res))) return;
+  next();
+}
+
+/**
+ * Send a /smg-transform failure with the status its error code calls for
+ */
+function sendTransformError(res, error) {
+  if (error.code === 'CSV_PARSE_ERROR') {
+    return res.status(400).json({
+      error: 'Malformed CSV input',
+      message: error.message,
+      row: error.row,
+      column: error.column,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (error.code === 'RANGE_REPORT_REJECTED') {
+    return res.status(400).json({
+      error: 'Date-range report rejected for daily load',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (error.code === 'UNRECOGNIZED_REPORT_FORMAT') {
+    return res.status(400).json({
+      error: 'Unrecognized SMG report format',
+      message: error.message,
+      attempted_profiles: error.attempted_profiles,
+      unrecognized_questions: error.unrecognized_questions,
+      skipped_questions: error.skipped_questions,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (sendCsvUploadError(res, error)) return;
+  
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Map, check and describe transformed SMG records - the /smg-transform response body
+ */
+async function buildTransformResult(transformedData, reportFormat, { originalLines, qualityRules, input }) {
+  // Map store locations to store IDs in database
+  const storeMapping = await storeResolver.mapRecords(transformedData);
+  const finalData = storeMapping.rows;
+  const skippedCount = storeMapping.skippedCount;
+  
+  // Remember each question's scale so /smg-upload can validate these rows later
+  const questionScales = questionScalesFromRecords(transformedData);
+  await registerQuestionScales(questionScales);
+  
+  // Same rules the pipeline applies before upload; blocked means /smg-pipeline would refuse this report
+  const quality = await runQualityChecks(transformedData, storeMapping.matches, qualityRules);
+  if (quality.findings_total > 0) console.log(`🧪 ${summarizeQualityFindings(quality)}`);
+  
+  console.log(`✅ Sophisticated SMG transformation complete: ${transformedData.length} SMG records → ${skippedCount} skipped → ${finalData.length} database records`);
+  
+  return {
+    success: true,
+    original_format: 'sophisticated_smg_csv',
+    input: input,
+    original_lines: originalLines,
+    smg_records_extracted: transformedData.length,
+    non_store_entries_skipped: skippedCount,
+    database_records_mapped: finalData.length,
+    suppressed_records: finalData.filter(record => record.suppressed).length,
+    stores_found: storeMapping.storesIndexed,
+    mapping_success_rate: Math.round((finalData.length / (transformedData.length - skippedCount)) * 100),
+    transformation_method: 'sophisticated_smg_parser_with_filtering',
+    report_type: transformedData.some(record => record.start_date) ? 'period' : 'daily',
+    target_table: transformedData.some(record => record.start_date) ? 'period_cx_scores' : 'daily_cx_scores',
+    report_format: {
+      profiles_used: reportFormat.profiles_used,
+      skipped_questions: reportFormat.skipped_questions,
+      unrecognized_questions: reportFormat.unrecognized_questions
+    },
+    question_scales: Object.fromEntries(questionScales),
+    store_matches: storeMapping.matches,
+    unmapped_locations: storeMapping.unmapped,
+    nps: deriveNpsCounts(transformedData, storeMapping.matches),
+    quality: quality,
+    data: finalData,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// MODULE 2: SMG Transform (file upload) - multipart/text/csv reports are transformed as they stream in
+app.post('/smg-transform', async (req, res, next) => {
+  if (!isCsvUploadRequest(req)) return next();
+  
+  try {
+    console.log('🔄 Starting streaming SMG CSV transformation of uploaded report...');
+    
+    let options = null;
+    const { files } = await readCsvUpload(req, async (name, textStream, fields) => {
+      if (options) throw csvUploadError('Upload one report file per /smg-transform request');
+      options = validateUploadOptions(parseUploadOptions({ ...req.query, ...fields }, 'transform_upload_request'), 'transform_upload_request');
+      
+      let reportFormat = null;
+      const { records, lines } = await transformSMGStream(textStream, options.date, {
+        rangeMode: options.rangeMode || 'reject',
+        onFormatDetected: format => { reportFormat = format; }
+      });
+      return { records, lines, reportFormat };
+    });
+    
+    if (files.length === 0) throw csvUploadError('Multipart upload has no CSV file part');
+    
+    const { records, lines, reportFormat } = files[0].result;
+    res.json(await buildTransformResult(records, reportFormat, {
+      originalLines: lines,
+      qualityRules: options.qualityRules || {},
+      input: req.is('multipart/form-data') ? 'multipart' : 'raw'
+    }));
+    
+  } catch (error) {
+    console.error('❌ SMG transformation error:', error);
+    sendTransformError(res, error);
+  }
+});
+
+// MODULE 2: SMG Transform - SOPHISTICATED SMG CSV transformation with DEBUG LOGGING
+app.post('/smg-transform', validateBody('transform_request'), async (req, res) => {
+  try {
+    console.log('🔄 Starting sophisticated SMG CSV transformation with debug logging...');
+    
+    const { csvData, date, rangeMode = 'reject', qualityRules = {} } = req.body;
+    
+    console.log('📊 Using sophisticated SMG parsing logic with debug logging...');
+    
+    // Transform using sophisticated SMG logic
+    let reportFormat = null;
+    const transformedData = transformSMGCSV(csvData, date, { rangeMode, onFormatDetected: format => { reportFormat = format; } });
+    
+    res.json(await buildTransformResult(transformedData, reportFormat, {
+      originalLines: csvData.split('\n').length,
+      qualityRules,
+      input: 'json'
+    }));
+    
+  } catch (error) {
+    console.error('❌ SMG transformation error:', error);
+    sendTransformError(res, error);
+  }
+});
+
+// MODULE 3: SMG Upload - Supabase upload using upload.js patterns
+app.post('/smg-upload', validateBody('upload_request'), async (req, res) => {
+  try {
+    console.log('📤 Starting SMG data upload to Supabase...');
+    
+    const { data, mode = 'upsert', table = 'daily_cx_scores' } = req.body;
+    
+    console.log(`📊 Uploading ${data.length} records into ${table} using ${mode} mode...`);
+    
+    // Validate each row against the target table's record schema
+    const validationErrors = [];
+    data.forEach((record, index) => validateSchema(record, RECORD_SCHEMAS[table], `/data/${index}`, validationErrors));
+    
+    // Scores must fit their question's registered scale (1-5 for questions never registered)
+    const questionScales = await fetchQuestionScales([...new Set(data.map(record => record.question).filter(question => typeof question === 'string'))]);
+    validateScoreScales(data, questionScales, '/data', validationErrors);
+    
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors, `${table}_record`);
+    }
+    
+    const rows = data.map(withSuppressedFlag);
+    let upload = null;
+    let diff = null;
+    
+    if (mode === 'dry_run') {
+      // Compare against the database without writing
+      console.log('🔍 Using DRY_RUN mode - computing diff only...');
+      diff = await diffScoreRows(table, rows);
+    } else {
+      // Chunked upload: upsert/replace batches each run in their own transaction, transient failures are retried
+      console.log(`🔄 Using ${mode.toUpperCase()} mode in batches of up to ${UPLOAD_BATCH_SIZE} rows...`);
+      upload = await uploadScoreRows(table, rows, mode);
+    }
+    
+    if (upload && upload.statistics.batches_failed > 0) {
+      // Failed replace batches rolled back, so their stores/days still hold the previous rows
+      return res.status(500).json({
+        error: `Database ${mode} failed for ${upload.statistics.batches_failed} of ${upload.statistics.batches_total} batches`,
+        details: upload.batches.filter(batch => batch.status === 'failed').map(batch => `Batch ${batch.batch}: ${batch.error}`),
+        statistics: upload.statistics,
+        batches: upload.batches,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Get upload summary
+    const uniqueDates = [...new Set(data.map(scoreRowPeriod))];
+    const uniqueStores = [...new Set(data.map(d => d.store_id))];
+    const uniqueQuestions = [...new Set(data.map(d => d.question))];
+    
+    const result = {
+      success: true,
+      upload_mode: mode,
+      table: table,
+      ...(diff ? { dry_run: true, diff: diff } : { statistics: upload.statistics, batches: upload.batches }),
+      summary: {
+        dates_affected: uniqueDates.length,
+        stores_affected: uniqueStores.length,
+        questions_processed: uniqueQuestions.length,
+        date_range: uniqueDates.sort(),
+        records_processed: data.length
+      },
+      upload_method: 'supabase_chunked_bulk_upload',
+      timestamp: new Date().toISOString()
+    };
+    
+    console.log(`✅ SMG data upload complete: ${data.length} records processed`);
+    res.json(result);
+    
+  } catch (error) {
+    console.error('❌ SMG upload error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Pipeline errors caused by the request itself (reported as 400 rather than 500)
+const PIPELINE_INPUT_ERROR_CODES = ['CSV_PARSE_ERROR', 'INVALID_PIPELINE_INPUT', 'INVALID_DATE_WINDOW', 'REPORT_DATE_MISMATCH', 'RANGE_REPORT_REJECTED', 'RECORD_VALIDATION_FAILED', 'QUALITY_CHECK_FAILED', 'UNRECOGNIZED_REPORT_FORMAT'];
+
+/**
+ * Build an error for pipeline input that cannot be processed as given
+ */
+function pipelineInputError(message, code = 'INVALID_PIPELINE_INPUT') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read the normalized date range from a report's title line without parsing the whole CSV
+ */
+function extractReportDateRange(csvContent) {
+  const titleLine = csvContent.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).find(line => line.trim()) || '';
+  const dateInfo = extractDate(titleLine);
+  if (!dateInfo) return null;
+  return {
+    start_date: normalizeDateForStorageUTC(dateInfo.startDate),
+    end_date: normalizeDateForStorageUTC(dateInfo.endDate)
+  };
+}
+
+/**
+ * Pair each date to process with the report that covers it
+ * Accepts either one csvData report (dated from its title line unless dates names the day)
+ * or csvByDate ({ "YYYY-MM-DD": csv }). date_check is 'matched' only when the title range is
+ * exactly the requested day; 'date_mismatch' and 'title_date_missing' are left to the caller.
+ * Date-range reports are refused unless rangeMode is 'period', where they match on their start date.
+ */
+function planPipelineReports({ csvData, csvByDate, dates, rangeMode = 'reject' }) {
+  if (csvData && csvByDate) {
+    throw pipelineInputError('Provide either csvData or csvByDate, not both');
+  }
+  if (!csvData && !csvByDate) {
+    throw pipelineInputError('CSV data is required for pipeline execution (csvData or csvByDate)');
+  }
+  if (dates !== undefined && (!Array.isArray(dates) || dates.length === 0)) {
+    throw pipelineInputError('dates must be a non-empty array of YYYY-MM-DD strings');
+  }
+  
+  const requestedDates = dates ? [...new Set(dates.map(d => normalizeDateForStorageUTC(String(d))))] : null;
+  let candidates;
+  
+  if (csvByDate) {
+    if (typeof csvByDate !== 'object' || Array.isArray(csvByDate)) {
+      throw pipelineInputError('csvByDate must be an object mapping YYYY-MM-DD dates to CSV strings');
+    }
+    
+    const reportsByDate = new Map(
+      Object.entries(csvByDate).map(([date, csv]) => [normalizeDateForStorageUTC(date), csv])
+    );
+    const wantedDates = requestedDates || [...reportsByDate.keys()].sort();
+    const missingDates = wantedDates.filter(date => !reportsByDate.has(date));
+    
+    if (missingDates.length > 0) {
+      throw pipelineInputError(`No report provided in csvByDate for: ${missingDates.join(', ')}`);
+    }
+    
+    candidates = wantedDates.map(date => ({ requested_date: date, csvData: reportsByDate.get(date) }));
+  } else {
+    if (requestedDates && requestedDates.length > 1) {
+      throw pipelineInputError('A single csvData report covers one date - use csvByDate to load several dates');
+    }
+    
+    const titleRange = typeof csvData === 'string' ? extractReportDateRange(csvData) : null;
+    const requestedDate = requestedDates ? requestedDates[0] : titleRange && titleRange.start_date;
+    
+    if (!requestedDate) {
+      throw pipelineInputError('Could not extract date from SMG CSV title line - pass dates: ["YYYY-MM-DD"]');
+    }
+    
+    candidates = [{ requested_date: requestedDate, csvData }];
+  }
+  
+  return candidates.map(candidate => {
+    if (typeof candidate.csvData !== 'string' || !candidate.csvData.trim()) {
+      throw pipelineInputError(`Report for ${candidate.requested_date} must be a non-empty CSV string`);
+    }
+    
+    const titleRange = extractReportDateRange(candidate.csvData);
+    let dateCheck = 'matched';
+    if (!titleRange) {
+      dateCheck = 'title_date_missing';
+    } else if (titleRange.start_date !== titleRange.end_date) {
+      if (rangeMode !== 'period') {
+        throw pipelineInputError(
+          `Report for ${candidate.requested_date} covers ${titleRange.start_date} - ${titleRange.end_date}; daily loads need single-day reports (pass rangeMode: 'period' to load it into period_cx_scores)`,
+          'RANGE_REPORT_REJECTED'
+        );
+      }
+      dateCheck = titleRange.start_date === candidate.requested_date ? 'period' : 'date_mismatch';
+    } else if (titleRange.start_date !== candidate.requested_date || titleRange.end_date !== candidate.requested_date) {
+      dateCheck = 'date_mismatch';
+    }
+    
+    return {
+      ...candidate,
+      title_start_date: titleRange ? titleRange.start_date : null,
+      title_end_date: titleRange ? titleRange.end_date : null,
+      date_check: dateCheck,
+      fingerprint: reportFingerprint(
+        candidate.csvData,
+        titleRange ? titleRange.start_date : candidate.requested_date,
+        titleRange ? titleRange.end_date : candidate.requested_date
+      )
+    };
+  });
+}
+
+// INGESTED REPORTS - every report a run loads is fingerprinted in ingested_reports, so posting the same
+// report again skips it and returns the original run's result (force: true reloads it)
+
+/**
+ * SHA-256 of a report's date range plus its content, ignoring BOM, line endings and trailing whitespace
+ */
+function reportFingerprint(csvData, startDate, endDate) {
+  const normalized = csvData
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/)
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+  return crypto.createHash('sha256').update(`${startDate}..${endDate}\n${normalized}`).digest('hex');
+}
+
+/**
+ * Already ingested reports by fingerprint
+ */
+async function findIngestedReports(fingerprints) {
+  if (fingerprints.length === 0) return new Map();
+  
+  const { data, error } = await supabase
+    .from('ingested_reports')
+    .select('fingerprint, report_date, start_date, end_date, pipeline_id, upload_mode, run_records_processed, ingested_at, result')
+    .in('fingerprint', fingerprints);
+  
+  if (error) throw new Error(`ingested_reports lookup failed: ${error.message}`);
+  return new Map(data.map(row => [row.fingerprint, row]));
+}
+
+/**
+ * Record the reports a completed run loaded, with the run's result to hand back for duplicates
+ * Best-effort like the run history - a failed write is logged and never fails the load
+ */
+async function recordIngestedReports(reports, pipelineResults, uploadMode) {
+  const rows = reports.map(report => ({
+    fingerprint: report.fingerprint,
+    report_date: report.requested_date,
+    start_date: report.title_start_date || report.requested_date,
+    end_date: report.title_end_date || report.requested_date,
+    pipeline_id: pipelineResults.pipeline_id,
+    upload_mode: uploadMode,
+    run_records_processed: pipelineResults.records_processed,
+    ingested_at: pipelineResults.completed_at,
+    result: pipelineResults
+  }));
+  if (rows.length === 0) return;
+  
+  const { error } = await supabase
+    .from('ingested_reports')
+    .upsert(rows, { onConflict: 'fingerprint', ignoreDuplicates: false });
+  
+  if (error) console.error(`❌ Could not record ingested reports for ${pipelineResults.pipeline_id}:`, error.message);
+}
+
+// Stages in execution order, as stored in pipeline_run_stages.stage_order
+const PIPELINE_STAGES = ['date_calculation', 'transformation', 'quality_checks', 'upload'];
+
+// Millisecond ids, bumped when two runs start in the same millisecond (async jobs can)
+let lastPipelineTimestamp = 0;
+function newPipelineId() {
+  lastPipelineTimestamp = Math.max(Date.now(), lastPipelineTimestamp + 1);
+  return `pipeline_${lastPipelineTimestamp}`;
+}
+
+/**
+ * Error raised between stages when an async job has been cancelled
+ */
+function pipelineCancelledError(stage) {
+  const error = new Error(`Pipeline cancelled before ${stage}`);
+  error.code = 'PIPELINE_CANCELLED';
+  return error;
+}
+
+/**
+ * Build the pipeline_runs row for the current state of a run
+ */
+function pipelineRunRow(pipelineResults, { source, uploadMode }) {
+  return {
+    pipeline_id: pipelineResults.pipeline_id,
+    status: pipelineResults.status,
+    source: source,
+    upload_mode: uploadMode,
+    dates_processed: pipelineResults.stages.date_calculation.dates_to_process || [],
+    records_processed: pipelineResults.records_processed,
+    started_at: pipelineResults.started_at,
+    completed_at: pipelineResults.completed_at || null,
+    total_duration_ms: pipelineResults.total_duration_ms,
+    error: pipelineResults.final_error || null,
+    error_code: pipelineResults.error_code || null,
+    errors: pipelineResults.errors,
+    warnings: pipelineResults.warnings
+  };
+}
+
+/**
+ * Save a run and its stage breakdown to pipeline_runs / pipeline_run_stages
+ * Failures are logged, never raised - run history must not break a load
+ */
+async function persistPipelineRun(pipelineResults, meta, { includeStages = true } = {}) {
+  try {
+    const { error: runError } = await supabase
+      .from('pipeline_runs')
+      .upsert(pipelineRunRow(pipelineResults, meta), { onConflict: 'pipeline_id', ignoreDuplicates: false });
+    
+    if (runError) throw new Error(`pipeline_runs: ${runError.message}`);
+    if (!includeStages) return;
+    
+    const stageRows = PIPELINE_STAGES.map((stage, index) => {
+      const { status, duration_ms: durationMs, ...details } = pipelineResults.stages[stage];
+      return {
+        pipeline_id: pipelineResults.pipeline_id,
+        stage: stage,
+        stage_order: index + 1,
+        status: status,
+        duration_ms: durationMs || 0,
+        details: details
+      };
+    });
+    
+    const { error: stageError } = await supabase
+      .from('pipeline_run_stages')
+      .upsert(stageRows, { onConflict: 'pipeline_id,stage', ignoreDuplicates: false });
+    
+    if (stageError) throw new Error(`pipeline_run_stages: ${stageError.message}`);
+  } catch (error) {
+    console.error(`❌ Could not record pipeline run ${pipelineResults.pipeline_id}:`, error.message);
+  }
+}
+
+/**
+ * Run the complete date → transform → upload flow
+ * Never throws - failures are reported on the returned pipelineResults (status: 'failed', final_error)
+ * Every run is recorded in pipeline_runs (source says who started it: api, download, backfill, schedule, watch)
+ * Reports already in ingested_reports are skipped unless force is set (dry runs never skip)
+ * Async jobs pass their own pipelineId, onStart (receives the live pipelineResults) and
+ * isCancelled, which is checked between stages. onDuplicates receives the skipped reports as
+ * [{ report, original }] with their ingested_reports rows (including the original run's result).
+ */
+async function runSMGPipeline({ csvData, csvByDate, dates, dateWindow, uploadMode = 'upsert', onDateMismatch = 'reject', rangeMode = 'reject', qualityRules = {}, force = false, source = 'api' } = {}, { pipelineId = newPipelineId(), onStart = null, onDuplicates = null, isCancelled = () => false } = {}) {
+  const pipelineStart = new Date();
+  let pipelineResults = {
+    pipeline_id: pipelineId,
+    status: 'running',
+    started_at: pipelineStart.toISOString(),
+    stages: {
+      date_calculation: { status: 'pending', duration_ms: 0 },
+      transformation: { status: 'pending', duration_ms: 0 },
+      quality_checks: { status: 'pending', duration_ms: 0 },
+      upload: { status: 'pending', duration_ms: 0 }
+    },
+    total_duration_ms: 0,
+    records_processed: 0,
+    errors: [],
+    warnings: []
+  };
+  const runMeta = { source, uploadMode };
+  if (onStart) onStart(pipelineResults);
+  await persistPipelineRun(pipelineResults, runMeta, { includeStages: false });
+
+  try {
+    console.log('🚀 Starting SMG complete pipeline with sophisticated parsing and debug logging...');
+    
+    // Reject unknown upload modes before doing any work
+    if (!UPLOAD_MODES.includes(uploadMode)) {
+      throw pipelineInputError(`Invalid uploadMode: ${uploadMode} (expected one of ${UPLOAD_MODES.join(', ')})`);
+    }
+    
+    // STAGE 1: Resolve report dates - each report is dated by its own title line
+    console.log('📅 Stage 1: Resolving report dates...');
+    const stage1Start = Date.now();
+    pipelineResults.stages.date_calculation.status = 'running';
+    let reports;
+    
+    try {
+      if (!['reject', 'flag'].includes(onDateMismatch)) {
+        throw pipelineInputError(`Invalid onDateMismatch: ${onDateMismatch} (expected 'reject' or 'flag')`);
+      }
+      if (!['reject', 'period'].includes(rangeMode)) {
+        throw pipelineInputError(`Invalid rangeMode: ${rangeMode} (expected 'reject' or 'period')`);
+      }
+      
+      // dateWindow ({ count, referenceDate, timezone, strategy, lookback }) picks the dates instead of listing them
+      let windowDates = dates;
+      let window = null;
+      if (dateWindow) {
+        if (dates !== undefined) {
+          throw pipelineInputError('Provide either dates or dateWindow, not both');
+        }
+        if (typeof dateWindow !== 'object' || Array.isArray(dateWindow)) {
+          throw pipelineInputError('dateWindow must be an object: { count, referenceDate, timezone, strategy, lookback }');
+        }
+        window = await calculateDateWindow(dateWindow);
+        if (window.dates.length === 0) {
+          throw pipelineInputError(`dateWindow (${window.strategy}) selected no dates`, 'INVALID_DATE_WINDOW');
+        }
+        windowDates = window.dates;
+      }
+      
+      const plannedReports = planPipelineReports({ csvData, csvByDate, dates: windowDates, rangeMode });
+      const mismatchedReports = plannedReports.filter(report => report.date_check === 'date_mismatch');
+      const describeMismatch = report =>
+        `${report.requested_date} (report title covers ${report.title_start_date} - ${report.title_end_date})`;
+      
+      if (mismatchedReports.length > 0 && onDateMismatch === 'reject') {
+        throw pipelineInputError(
+          `Report date does not match requested date: ${mismatchedReports.map(describeMismatch).join(', ')}`,
+          'REPORT_DATE_MISMATCH'
+        );
+      }
+      
+      // Flagged mismatches are reported but never loaded under the wrong date
+      mismatchedReports.forEach(report => {
+        pipelineResults.warnings.push(`Skipped report for ${describeMismatch(report)}`);
+      });
+      plannedReports.filter(report => report.date_check === 'title_date_missing').forEach(report => {
+        pipelineResults.warnings.push(`Report for ${report.requested_date} has no date in its title line - using requested date`);
+      });
+      
+      reports = plannedReports.filter(report => report.date_check !== 'date_mismatch');
+      
+      // Identical reports that an earlier run already loaded are not loaded again
+      let duplicateReports = [];
+      if (!force && uploadMode !== 'dry_run') {
+        try {
+          const ingested = await findIngestedReports(reports.map(report => report.fingerprint));
+          duplicateReports = reports
+            .filter(report => ingested.has(report.fingerprint))
+            .map(report => ({ report, original: ingested.get(report.fingerprint) }));
+        } catch (error) {
+          pipelineResults.warnings.push(`Duplicate report check unavailable - loading every report: ${error.message}`);
+        }
+      }
+      if (onDuplicates && duplicateReports.length > 0) onDuplicates(duplicateReports);
+      duplicateReports.forEach(({ report, original }) => {
+        pipelineResults.warnings.push(`Report for ${report.requested_date} was already ingested by ${original.pipeline_id} at ${original.ingested_at} - skipped (force: true reloads it)`);
+      });
+      if (duplicateReports.length > 0 && duplicateReports.length === reports.length) {
+        pipelineResults.duplicate = true;
+        pipelineResults.original_runs = [...new Map(duplicateReports.map(({ original }) => [original.pipeline_id, {
+          pipeline_id: original.pipeline_id,
+          fingerprint: original.fingerprint,
+          upload_mode: original.upload_mode,
+          ingested_at: original.ingested_at
+        }])).values()];
+      }
+      reports = reports.filter(report => !duplicateReports.some(duplicate => duplicate.report === report));
+      
+      pipelineResults.stages.date_calculation = {
+        status: 'completed',
+        duration_ms: Date.now() - stage1Start,
+        dates_requested: plannedReports.map(report => report.requested_date),
+        dates_to_process: reports.map(report => report.requested_date),
+        reports: plannedReports.map(({ csvData: _csv, ...report }) => report),
+        date_mismatches: mismatchedReports.length,
+        duplicate_reports: duplicateReports.map(({ report, original }) => ({
+          date: report.requested_date,
+          fingerprint: report.fingerprint,
+          pipeline_id: original.pipeline_id,
+          ingested_at: original.ingested_at
+        })),
+        date_window: window
+      };
+      
+      console.log(`✅ Stage 1 complete: ${reports.length} of ${plannedReports.length} reports matched their dates`);
+      
+    } catch (error) {
+      pipelineResults.stages.date_calculation = {
+        status: 'failed',
+        duration_ms: Date.now() - stage1Start,
+        error: error.message
+      };
+      pipelineResults.errors.push(`Date resolution failed: ${error.message}`);
+      throw error;
+    }
+    
+    // STAGE 2: SOPHISTICATED SMG CSV TRANSFORMATION WITH DEBUG LOGGING
+    if (isCancelled()) throw pipelineCancelledError('transformation');
+    console.log('🔄 Stage 2: Sophisticated SMG CSV transformation with debug logging...');
+    const stage2Start = Date.now();
+    pipelineResults.stages.transformation.status = 'running';
+    let allTransformedData = [];
+    let allSourceRecords = [];
+    let totalSkippedEntries = 0;
+    const storeMatches = new Map();
+    const unmappedLocations = new Map();
+    const reportFormats = [];
+    
+    try {
+      for (const report of reports) {
+        const processDate = report.requested_date;
+        console.log(`  Processing date: ${processDate} with sophisticated SMG parsing and debug logging`);
+        
+        // Use sophisticated SMG parsing - records keep the date from the report's own title line
+        const smgTransformedData = transformSMGCSV(report.csvData, processDate, {
+          rangeMode,
+          onFormatDetected: format => {
+            reportFormats.push({
+              date: processDate,
+              profiles_used: format.profiles_used,
+              skipped_questions: format.skipped_questions,
+              unrecognized_questions: format.unrecognized_questions
+            });
+            const notLoaded = [
+              ...format.unrecognized_questions.map(question => `${question.question} (unrecognised layout)`),
+              ...format.skipped_questions.map(question => `${question.question} (${question.profile})`)
+            ];
+            if (notLoaded.length > 0) {
+              pipelineResults.warnings.push(`Report for ${processDate}: questions not loaded - ${notLoaded.join(', ')}`);
+            }
+          }
+        });
+        
+        console.log(`  📊 SMG Parser extracted ${smgTransformedData.length} records for ${processDate}`);
+        
+        // Map store locations to store IDs (store index is cached across dates and runs)
+        const storeMapping = await storeResolver.mapRecords(smgTransformedData);
+        const mappedData = storeMapping.rows;
+        const dateSkippedCount = storeMapping.skippedCount;
+        
+        storeMapping.matches.forEach(match => {
+          const existing = storeMatches.get(match.store_location);
+          storeMatches.set(match.store_location, {
+            ...match,
+            records: (existing?.records || 0) + match.records
+          });
+        });
+        storeMapping.unmapped.forEach(location => {
+          const existing = unmappedLocations.get(location.store_location);
+          unmappedLocations.set(location.store_location, {
+            store_location: location.store_location,
+            records: (existing?.records || 0) + location.records,
+            dates: [...(existing?.dates || []), ...location.dates]
+          });
+        });
+        
+        allSourceRecords = allSourceRecords.concat(smgTransformedData);
+        totalSkippedEntries += dateSkippedCount;
+        console.log(`  🗂️ Mapped ${mappedData.length} of ${smgTransformedData.length} SMG records to database format (${dateSkippedCount} non-store entries skipped)`);
+        allTransformedData = allTransformedData.concat(mappedData);
+      }
+      
+      const questionScales = questionScalesFromRecords(allSourceRecords);
+      await registerQuestionScales(questionScales);
+      const npsScores = deriveNpsCounts(allSourceRecords, [...storeMatches.values()]);
+      
+      pipelineResults.stages.transformation = {
+        status: 'completed',
+        duration_ms: Date.now() - stage2Start,
+        method: 'sophisticated_smg_parsing_with_filtering',
+        original_csv_lines: reports.reduce((sum, report) => sum + report.csvData.trim().split('\n').length, 0),
+        smg_records_extracted: allTransformedData.length + totalSkippedEntries,
+        non_store_entries_skipped: totalSkippedEntries,
+        database_records_mapped: allTransformedData.length,
+        suppressed_records: allTransformedData.filter(record => record.suppressed).length,
+        dates_processed: reports.length,
+        mapping_success: `${allTransformedData.length} records mapped to store IDs`,
+        report_formats: reportFormats,
+        question_scales: Object.fromEntries(questionScales),
+        nps_scores_derived: npsScores.length,
+        nps: npsScores,
+        store_matches: [...storeMatches.values()],
+        unmapped_locations: [...unmappedLocations.values()]
+      };
+      
+      console.log(`✅ Stage 2 complete: ${allTransformedData.length + totalSkippedEntries} records processed → ${totalSkippedEntries} skipped → ${allTransformedData.length} mapped with sophisticated SMG parsing and filtering`);
+      
+    } catch (error) {
+      pipelineResults.stages.transformation = {
+        status: 'failed',
+        duration_ms: Date.now() - stage2Start,
+        error: error.message
+      };
+      pipelineResults.errors.push(`Sophisticated transformation failed: ${error.message}`);
+      throw error;
+    }
+    
+    // STAGE 3: Data quality rules - warn findings are reported, block findings stop the load
+    if (isCancelled()) throw pipelineCancelledError('quality_checks');
+    console.log('🧪 Stage 3: Running data quality checks...');
+    const qualityStart = Date.now();
+    pipelineResults.stages.quality_checks.status = 'running';
+    
+    try {
+      const quality = await runQualityChecks(allSourceRecords, [...storeMatches.values()], qualityRules);
+      pipelineResults.stages.quality_checks = {
+        status: quality.blocked ? 'failed' : 'completed',
+        duration_ms: Date.now() - qualityStart,
+        ...quality
+      };
+      
+      if (quality.findings_total > 0) {
+        pipelineResults.warnings.push(summarizeQualityFindings(quality));
+      }
+      if (quality.blocked) {
+        const blocking = quality.findings.filter(finding => finding.action === 'block');
+        const error = new Error(`Data quality checks blocked the upload: ${blocking.slice(0, 5).map(finding => `${finding.rule} ${finding.store_location} ${scoreRowPeriod(finding)}: ${finding.message}`).join('; ')}`);
+        error.code = 'QUALITY_CHECK_FAILED';
+        throw error;
+      }
+      
+      console.log(`✅ Stage 3 complete: ${quality.findings_total} quality findings`);
+      
+    } catch (error) {
+      if (error.code !== 'QUALITY_CHECK_FAILED') {
+        pipelineResults.stages.quality_checks = {
+          status: 'failed',
+          duration_ms: Date.now() - qualityStart,
+          error: error.message
+        };
+      }
+      pipelineResults.errors.push(`Quality checks failed: ${error.message}`);
+      throw error;
+    }
+    
+    // STAGE 4: Upload to Supabase
+    if (isCancelled()) throw pipelineCancelledError('upload');
+    console.log('📤 Stage 4: Uploading to Supabase...');
+    const stage3Start = Date.now();
+    pipelineResults.stages.upload.status = 'running';
+    
+    try {
+      if (allTransformedData.length === 0) {
+        pipelineResults.stages.upload = {
+          status: 'skipped',
+          duration_ms: Date.now() - stage3Start,
+          reason: pipelineResults.duplicate ? 'already_ingested' : 'no_data_to_upload',
+          warning: pipelineResults.duplicate
+            ? 'Every report was already ingested - pass force: true to reload'
+            : 'No records were mapped - check store locations in SMG CSV data',
+          non_store_entries_skipped: totalSkippedEntries
+        };
+        
+        console.log('⚠️ Stage 4 skipped: No data to upload after sophisticated transformation and filtering');
+      } else {
+        // Daily and period rows go to their own tables
+        const rowsByTable = new Map();
+        allTransformedData.forEach(record => {
+          const table = scoreTableForRow(record);
+          if (!rowsByTable.has(table)) rowsByTable.set(table, []);
+          rowsByTable.get(table).push(record);
+        });
+        
+        // Validate data structure - same record schemas as /smg-upload
+        const validationErrors = [];
+        
+        const questionScales = questionScalesFromRecords(allSourceRecords);
+        
+        for (const [table, rows] of rowsByTable) {
+          rows.forEach((record, index) => validateSchema(record, RECORD_SCHEMAS[table], `/${table}/${index}`, validationErrors));
+          validateScoreScales(rows, questionScales, `/${table}`, validationErrors);
+        }
+        
+        if (validationErrors.length > 0) {
+          const summary = validationErrors.slice(0, 10).map(validationError => `${validationError.path} ${validationError.message}`);
+          const error = new Error(`Data validation failed (${validationErrors.length} error${validationErrors.length === 1 ? '' : 's'}): ${summary.join(', ')}`);
+          error.code = 'RECORD_VALIDATION_FAILED';
+          error.validationErrors = validationErrors.slice(0, MAX_VALIDATION_ERRORS);
+          throw error;
+        }
+        
+        const uniqueDates = [...new Set(allTransformedData.map(scoreRowPeriod))];
+        const uniqueStores = [...new Set(allTransformedData.map(d => d.store_id))];
+        const tableCounts = Object.fromEntries([...rowsByTable].map(([table, rows]) => [table, rows.length]));
+        
+        if (uploadMode === 'dry_run') {
+          // Everything but the write: report what the load would change
+          const diffs = [];
+          for (const [table, rows] of rowsByTable) {
+            diffs.push(await diffScoreRows(table, rows));
+          }
+          
+          pipelineResults.stages.upload = {
+            status: 'completed',
+            duration_ms: Date.now() - stage3Start,
+            dry_run: true,
+            records_uploaded: 0,
+            records_to_upload: allTransformedData.length,
+            upload_mode: uploadMode,
+            diff: diffs,
+            tables: tableCounts,
+            dates_affected: uniqueDates.length,
+            stores_affected: uniqueStores.length,
+            non_store_entries_skipped: totalSkippedEntries
+          };
+        } else {
+          // Perform upload based on mode - chunked, each upsert/replace batch in its own transaction
+          const uploadStatistics = { inserted: 0, updated: 0, unchanged: 0, deleted: 0, errors: 0, batches_total: 0, batches_failed: 0 };
+          const uploadBatches = [];
+          for (const [table, rows] of rowsByTable) {
+            const upload = await uploadScoreRows(table, rows, uploadMode);
+            
+            Object.keys(uploadStatistics).forEach(key => {
+              uploadStatistics[key] += upload.statistics[key];
+            });
+            upload.batches.forEach(batch => uploadBatches.push({ table, ...batch }));
+          }
+          
+          const failedBatches = uploadBatches.filter(batch => batch.status === 'failed');
+          if (failedBatches.length > 0) {
+            const failureDetails = failedBatches.map(batch => `${batch.table} batch ${batch.batch}: ${batch.error}`).join('; ');
+            const error = new Error(`${failedBatches.length} of ${uploadStatistics.batches_total} upload batches failed: ${failureDetails}`);
+            error.uploadStatistics = uploadStatistics;
+            error.uploadBatches = uploadBatches;
+            throw error;
+          }
+          
+          pipelineResults.stages.upload = {
+            status: 'completed',
+            duration_ms: Date.now() - stage3Start,
+            records_uploaded: allTransformedData.length,
+            upload_mode: uploadMode,
+            rows_inserted: uploadStatistics.inserted,
+            rows_updated: uploadStatistics.updated,
+            rows_unchanged: uploadStatistics.unchanged,
+            rows_deleted: uploadStatistics.deleted,
+            batches: uploadBatches,
+            tables: tableCounts,
+            dates_affected: uniqueDates.length,
+            stores_affected: uniqueStores.length,
+            non_store_entries_skipped: totalSkippedEntries
+          };
+        }
+        
+        console.log(`✅ Stage 4 complete: ${allTransformedData.length} records uploaded via sophisticated parsing and filtering`);
+      }
+      
+    } catch (error) {
+      pipelineResults.stages.upload = {
+        status: 'failed',
+        duration_ms: Date.now() - stage3Start,
+        error: error.message
+      };
+      if (error.uploadStatistics) {
+        pipelineResults.stages.upload.statistics = error.uploadStatistics;
+        pipelineResults.stages.upload.batches = error.uploadBatches;
+      }
+      if (error.validationErrors) {
+        pipelineResults.stages.upload.validation_errors = error.validationErrors;
+      }
+      pipelineResults.errors.push(`Upload failed: ${error.message}`);
+      throw error;
+    }
+    
+    // Pipeline completion
+    pipelineResults.status = 'completed';
+    pipelineResults.completed_at = new Date().toISOString();
+    pipelineResults.total_duration_ms = Date.now() - pipelineStart.getTime();
+    pipelineResults.records_processed = allTransformedData.length;
+    if (uploadMode !== 'dry_run' && allTransformedData.length > 0) await recordIngestedReports(reports, pipelineResults, uploadMode);
+    
+    console.log(`🎉 SMG Pipeline complete with sophisticated parsing and filtering: ${allTransformedData.length} records processed (${totalSkippedEntries} non-store entries filtered) in ${pipelineResults.total_duration_ms}ms`);
+    
+  } catch (error) {
+    if (error.code === 'PIPELINE_CANCELLED') {
+      console.log(`🛑 SMG pipeline ${pipelineResults.pipeline_id}: ${error.message}`);
+    } else {
+      console.error('❌ SMG pipeline error:', error);
+    }
+    
+    pipelineResults.status = error.code === 'PIPELINE_CANCELLED' ? 'cancelled' : 'failed';
+    pipelineResults.completed_at = new Date().toISOString();
+    pipelineResults.total_duration_ms = Date.now() - pipelineStart.getTime();
+    pipelineResults.final_error = error.message;
+    if (error.code) pipelineResults.error_code = error.code;
+  }
+  
+  await persistPipelineRun(pipelineResults, runMeta);
+  return pipelineResults;
+}
+
+// PIPELINE JOBS - /smg-pipeline?async=true runs here so callers are not held open for the whole load
+const PIPELINE_JOB_CONCURRENCY = parseInt(process.env.PIPELINE_JOB_CONCURRENCY || '2', 10);
+const PIPELINE_JOB_RETENTION_MS = parseInt(process.env.PIPELINE_JOB_RETENTION_MS || '3600000', 10);
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// In-process only: jobs are lost on restart, but every started run is still in pipeline_runs
+const pipelineJobs = new Map();
+const pipelineJobQueue = [];
+let runningPipelineJobs = 0;
+
+/**
+ * Drop finished jobs older than the retention period
+ */
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - PIPELINE_JOB_RETENTION_MS;
+  for (const [jobId, job] of pipelineJobs) {
+    if (FINISHED_JOB_STATUSES.includes(job.status) && Date.parse(job.completed_at) < cutoff) {
+      pipelineJobs.delete(jobId);
+    }
+  }
+}
+
+/**
+ * Public view of a job - never includes the submitted CSV
+ */
+function describeJob(job) {
+  return {
+    job_id: job.job_id,
+    pipeline_id: job.job_id,
+    status: job.status,
+    source: job.source,
+    upload_mode: job.upload_mode,
+    cancel_requested: job.cancel_requested,
+    queue_position: job.status === 'queued' ? pipelineJobQueue.indexOf(job) + 1 : null,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at,
+    expires_at: job.completed_at ? new Date(Date.parse(job.completed_at) + PIPELINE_JOB_RETENTION_MS).toISOString() : null,
+    pipeline_results: job.pipeline_results
+  };
+}
+
+/**
+ * Start queued jobs while there is free capacity
+ */
+function drainPipelineJobQueue() {
+  while (runningPipelineJobs < PIPELINE_JOB_CONCURRENCY && pipelineJobQueue.length > 0) {
+    const job = pipelineJobQueue.shift();
+    runningPipelineJobs++;
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    
+    runSMGPipeline(job.params, {
+      pipelineId: job.job_id,
+      onStart: pipelineResults => { job.pipeline_results = pipelineResults; },
+      isCancelled: () => job.cancel_requested
+    })
+      .then(pipelineResults => {
+        job.pipeline_results = pipelineResults;
+        job.status = pipelineResults.status;
+      })
+      .catch(error => {
+        // runSMGPipeline reports its own failures - this only catches bugs
+        console.error(`❌ Pipeline job ${job.job_id} crashed:`, error);
+        job.status = 'failed';
+      })
+      .finally(() => {
+        job.params = null;
+        job.completed_at = new Date().toISOString();
+        runningPipelineJobs--;
+        console.log(`📋 Pipeline job ${job.job_id} ${job.status}`);
+        drainPipelineJobQueue();
+      });
+  }
+}
+
+/**
+ * Queue a pipeline run and return the job immediately
+ */
+function enqueuePipelineJob(params) {
+  pruneFinishedJobs();
+  
+  const job = {
+    job_id: newPipelineId(),
+    status: 'queued',
+    source: params.source,
+    upload_mode: params.uploadMode || 'upsert',
+    cancel_requested: false,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    completed_at: null,
+    pipeline_results: null,
+    params: params
+  };
+  
+  pipelineJobs.set(job.job_id, job);
+  pipelineJobQueue.push(job);
+  console.log(`📋 Queued pipeline job ${job.job_id} (${pipelineJobQueue.length} waiting, ${runningPipelineJobs} running)`);
+  drainPipelineJobQueue();
+  return job;
+}
+
+// MODULE 4: SMG Pipeline - Complete integration flow with SOPHISTICATED PARSING and DEBUG LOGGING
+app.post('/smg-pipeline', bufferPipelineUpload, validateBody('pipeline_request'), async (req, res) => {
+  if (req.query.async === 'true') {
+    const job = enqueuePipelineJob({ ...req.body, force: req.body.force || req.force, source: 'api' });
+    return res.status(202).json({
+      success: true,
+      pipeline_id: job.job_id,
+      job: describeJob(job),
+      status_url: `/smg-jobs/${job.job_id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  let duplicateReports = [];
+  const pipelineResults = await runSMGPipeline(
+    { ...req.body, force: req.body.force || req.force, source: 'api' },
+    { onDuplicates: duplicates => { duplicateReports = duplicates; } }
+  );
+  
+  // Nothing new in the request - hand back what the original runs returned, by report date
+  if (pipelineResults.duplicate) {
+    const originals = pipelineResults.original_runs;
+    const originalResults = Object.fromEntries(
+      duplicateReports.map(({ report, original }) => [report.requested_date, original.result || null])
+    );
+    const singleResult = originals.length === 1 ? Object.values(originalResults)[0] : null;
+    
+    return res.json({
+      success: true,
+      duplicate: true,
+      message: 'Report already ingested - returning the original run (pass force=true to reload)',
+      original_pipeline_ids: originals.map(original => original.pipeline_id),
+      pipeline_results: singleResult || pipelineResults,
+      original_results: originalResults,
+      duplicate_check_pipeline_id: pipelineResults.pipeline_id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (pipelineResults.status === 'failed') {
+    return res.status(PIPELINE_INPUT_ERROR_CODES.includes(pipelineResults.error_code) ? 400 : 500).json({
+      success: false,
+      pipeline_results: pipelineResults,
+      error: 'Pipeline execution failed',
+      message: pipelineResults.final_error,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json({
+    success: true,
+    pipeline_results: pipelineResults,
+    transformation_method: 'sophisticated_smg_parsing_with_filtering',
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/smg-jobs', (req, res) => {
+  pruneFinishedJobs();
+  const jobs = [...pipelineJobs.values()]
+    .filter(job => !req.query.status || job.status === req.query.status)
+    .map(describeJob)
+    .map(({ pipeline_results: results, ...job }) => ({ ...job, records_processed: results ? results.records_processed : 0 }));
+  
+  res.json({
+    success: true,
+    concurrency: PIPELINE_JOB_CONCURRENCY,
+    running: runningPipelineJobs,
+    queued: pipelineJobQueue.length,
+    retention_ms: PIPELINE_JOB_RETENTION_MS,
+    jobs: jobs,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/smg-jobs/:id', (req, res) => {
+  pruneFinishedJobs();
+  const job = pipelineJobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: `Pipeline job not found: ${req.params.id}`,
+      details: 'Finished jobs are kept for the retention period - older runs are in /smg-runs',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json({
+    success: true,
+    job: describeJob(job),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.delete('/smg-jobs/:id', (req, res) => {
+  const job = pipelineJobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: `Pipeline job not found: ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (FINISHED_JOB_STATUSES.includes(job.status)) {
+    return res.status(409).json({
+      error: `Pipeline job already ${job.status}`,
+      job: describeJob(job),
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  job.cancel_requested = true;
+  
+  if (job.status === 'queued') {
+    // Never started - nothing was written and no run was recorded
+    pipelineJobQueue.splice(pipelineJobQueue.indexOf(job), 1);
+    job.status = 'cancelled';
+    job.completed_at = new Date().toISOString();
+    job.params = null;
+  }
+  
+  console.log(`🛑 Cancel requested for pipeline job ${job.job_id} (${job.status})`);
+  res.status(job.status === 'cancelled' ? 200 : 202).json({
+    success: true,
+    message: job.status === 'cancelled' ? 'Job cancelled' : 'Job will stop before its next stage',
+    job: describeJob(job),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// RUN HISTORY - Persisted pipeline runs ("did yesterday's load actually run, and what did it do?")
+const PIPELINE_RUN_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+
+app.get('/smg-runs', async (req, res) => {
+  try {
+    const { status, date, from, to, source } = req.query;
+    const limit = parseInt(req.query.limit || '50', 10);
+    
+    const validationErrors = [];
+    if (status && !PIPELINE_RUN_STATUSES.includes(status)) {
+      validationErrors.push(`status must be one of ${PIPELINE_RUN_STATUSES.join(', ')}`);
+    }
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      validationErrors.push('date must be YYYY-MM-DD');
+    }
+    [['from', from], ['to', to]].forEach(([name, value]) => {
+      if (value && isNaN(Date.parse(value))) validationErrors.push(`${name} must be an ISO date or timestamp`);
+    });
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      validationErrors.push('limit must be between 1 and 500');
+    }
+    
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        validation_errors: validationErrors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    let query = supabase
+      .from('pipeline_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+    
+    if (status) query = query.eq('status', status);
+    if (source) query = query.eq('source', source);
+    if (date) query = query.contains('dates_processed', [date]);
+    if (from) query = query.gte('started_at', new Date(from).toISOString());
+    if (to) query = query.lte('started_at', new Date(to).toISOString());
+    
+    const { data: runs, error } = await query;
+    if (error) throw new Error(`Pipeline run lookup failed: ${error.message}`);
+    
+    res.json({
+      success: true,
+      filters: { status: status || null, date: date || null, from: from || null, to: to || null, source: source || null, limit },
+      count: runs.length,
+      runs: runs,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ SMG runs error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/smg-runs/:id', async (req, res) => {
+  try {
+    const [runResult, stagesResult] = await Promise.all([
+      supabase.from('pipeline_runs').select('*').eq('pipeline_id', req.params.id).limit(1),
+      supabase
+        .from('pipeline_run_stages')
+        .select('stage, stage_order, status, duration_ms, details')
+        .eq('pipeline_id', req.params.id)
+        .order('stage_order', { ascending: true })
+    ]);
+    
+    if (runResult.error) throw new Error(`Pipeline run lookup failed: ${runResult.error.message}`);
+    if (stagesResult.error) throw new Error(`Pipeline stage lookup failed: ${stagesResult.error.message}`);
+    
+    if (runResult.data.length === 0) {
+      return res.status(404).json({
+        error: `Pipeline run not found: ${req.params.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.json({
+      success: true,
+      run: runResult.data[0],
+      stages: stagesResult.data,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ SMG run detail error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// MODULE 5: SMG Status - Monitoring and management
+app.get('/smg-status', async (req, res) => {
+  try {
+    console.log('📊 Checking SMG system status...');
+    const statusStart = Date.now();
+    
+    const systemStatus = {
+      overall_status: 'healthy',
+      timestamp: new Date().toISOString(),
+      uptime_seconds: process.uptime(),
+      system_checks: {},
+      database_health: {},
+      data_summary: {},
+      configuration: {},
+      performance_metrics: {}
+    };
+    
+    // SYSTEM HEALTH CHECKS
+    console.log('🔍 Running system health checks...');
+    
+    // Check environment variables
+    systemStatus.system_checks.environment_variables = {
+      status: 'healthy',
+      required_vars: requiredEnvVars.map(varName => ({
+        name: varName,
+        configured: !!process.env[varName]
+      })),
+      missing_vars: missingEnvVars
+    };
+    
+    // Check memory usage
+    const memUsage = process.memoryUsage();
+    systemStatus.system_checks.memory = {
+      status: memUsage.heapUsed / memUsage.heapTotal < 0.9 ? 'healthy' : 'warning',
+      heap_used_mb: Math.round(memUsage.heapUsed / 1024 / 1024),
+      heap_total_mb: Math.round(memUsage.heapTotal / 1024 / 1024),
+      heap_usage_percent: Math.round((memUsage.heapUsed / memUsage.heapTotal) * 100)
+    };
+    
+    // DATABASE HEALTH CHECKS
+    console.log('🗄️ Running database health checks...');
+    
+    try {
+      // Test basic connectivity with simple queries (no aggregates)
+      const connectivityTest = Date.now();
+      const { data: healthTest, error: healthError } = await supabase
+        .from('stores')
+        .select('store_id')
+        .limit(1);
+      
+      const connectivityTime = Date.now() - connectivityTest;
+      
+      if (healthError) {
+        systemStatus.database_health.connectivity = {
+          status: 'failed',
+          error: healthError.message,
+          response_time_ms: connectivityTime
+        };
+        systemStatus.overall_status = 'degraded';
+      } else {
+        systemStatus.database_health.connectivity = {
+          status: 'healthy',
+          response_time_ms: connectivityTime
+        };
+      }
+      
+      // Check table accessibility
+      const tablesCheck = Date.now();
+      const tableResults = await Promise.allSettled([
+        supabase.from('stores').select('store_id').limit(1),
+        supabase.from('daily_cx_scores').select('store_id').limit(1),
+        supabase.from('calendar').select('date').limit(1)
+      ]);
+      
+      systemStatus.database_health.table_accessibility = {
+        status: tableResults.every(r => r.status === 'fulfilled') ? 'healthy' : 'warning',
+        response_time_ms: Date.now() - tablesCheck,
+        tables: {
+          stores: tableResults[0].status === 'fulfilled' ? 'accessible' : 'error',
+          daily_cx_scores: tableResults[1].status === 'fulfilled' ? 'accessible' : 'error',
+          calendar: tableResults[2].status === 'fulfilled' ? 'accessible' : 'error'
+        }
+      };
+      
+    } catch (dbError) {
+      systemStatus.database_health.connectivity = {
+        status: 'failed',
+        error: dbError.message
+      };
+      systemStatus.overall_status = 'degraded';
+    }
+    
+    // DATA SUMMARY (using simple queries)
+    console.log('📈 Gathering data summary...');
+    
+    try {
+      const summaryQueries = await Promise.allSettled([
+        supabase.from('stores').select('store_id').limit(100),
+        supabase.from('daily_cx_scores').select('date').order('date', { ascending: false }).limit(1),
+        supabase.from('daily_cx_scores').select('date').order('date', { ascending: true }).limit(1)
+      ]);
+      
+      systemStatus.data_summary = {
+        stores_count: summaryQueries[0].status === 'fulfilled' ? 
+          (summaryQueries[0].value.data?.length || 0) : 'unknown',
+        latest_date: summaryQueries[1].status === 'fulfilled' ? 
+          (summaryQueries[1].value.data?.[0]?.date || 'unknown') : 'unknown',
+        earliest_date: summaryQueries[2].status === 'fulfilled' ? 
+          (summaryQueries[2].value.data?.[0]?.date || 'unknown') : 'unknown'
+      };
+      
+      // Calculate data freshness
+      if (systemStatus.data_summary.latest_date !== 'unknown') {
+        const latestDate = new Date(systemStatus.data_summary.latest_date);
+        const today = new Date();
+        const daysDiff = Math.floor((today - latestDate) / (1000 * 60 * 60 * 24));
+        
+        systemStatus.data_summary.data_freshness = {
+          latest_data_age_days: daysDiff,
+          status: daysDiff <= 7 ? 'fresh' : daysDiff <= 30 ? 'stale' : 'very_stale'
+        };
+      }
+      
+    } catch (summaryError) {
+      systemStatus.data_summary.error = summaryError.message;
+    }
+    
+    // CONFIGURATION STATUS
+    systemStatus.configuration = {
+      node_version: process.version,
+      platform: process.platform,
+      port: PORT,
+      environment: process.env.NODE_ENV || 'production',
+      modules_available: [
+        { name: 'smg-daily-dates', method: 'GET', status: 'active' },
+        { name: 'smg-transform', method: 'POST', status: 'active', enhancement: 'DEBUG_VERSION_WITH_FILTERING' },
+        { name: 'smg-upload', method: 'POST', status: 'active' },
+        { name: 'smg-pipeline', method: 'POST', status: 'active', enhancement: 'DEBUG_VERSION_WITH_FILTERING' },
+        { name: 'smg-status', method: 'GET', status: 'active' },
+        { name: 'smg-download', method: 'POST', status: SMG_PORTAL_CONFIG.portalUrl ? 'active' : 'not_configured' },
+        { name: 'smg-backfill', method: 'POST', status: SMG_PORTAL_CONFIG.portalUrl ? 'active' : 'not_configured' },
+        { name: 'smg-unmapped-locations', method: 'GET', status: 'active' },
+        { name: 'smg-store-aliases', method: 'GET/POST', status: 'active' },
+        { name: 'smg-runs', method: 'GET', status: 'active' },
+        { name: 'smg-jobs', method: 'GET/DELETE', status: 'active' },
+        { name: 'smg-schedules', method: 'GET/POST', status: 'active' },
+        { name: 'smg-gaps', method: 'GET/POST', status: 'active' },
+        { name: 'smg-schemas', method: 'GET', status: 'active' },
+        { name: 'smg-report-profiles', method: 'GET', status: 'active' },
+        { name: 'smg-watch', method: 'GET/POST', status: SMG_WATCH_FOLDER ? 'active' : 'not_configured' },
+        { name: 'smg-api-keys', method: 'GET/POST/DELETE', status: API_AUTH_ENABLED ? 'active' : 'auth_disabled' },
+        { name: 'smg-audit-log', method: 'GET', status: 'active' }
+      ]
+    };
+    
+    // PERFORMANCE METRICS
+    systemStatus.performance_metrics = {
+      status_check_duration_ms: Date.now() - statusStart,
+      uptime_formatted: formatUptime(process.uptime()),
+      memory_usage: systemStatus.system_checks.memory,
+      database_response_time_ms: systemStatus.database_health.connectivity?.response_time_ms || null
+    };
+    
+    // DETERMINE OVERALL STATUS
+    if (systemStatus.database_health.connectivity?.status === 'failed') {
+      systemStatus.overall_status = 'critical';
+    } else if (systemStatus.database_health.connectivity?.status === 'warning' || 
+               systemStatus.system_checks.memory.status === 'warning') {
+      systemStatus.overall_status = 'warning';
+    }
+    
+    console.log(`✅ SMG status check complete: ${systemStatus.overall_status}`);
+    res.json(systemStatus);
+    
+  } catch (error) {
+    console.error('❌ SMG status check error:', error);
+    res.status(500).json({
+      overall_status: 'critical',
+      error: 'Status check failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PHASE 1: SMG Download - Pull the Full Scale Report from the SMG portal with Playwright (smg-portal.js)
+// Portal URL, credentials and selectors come from env vars so the same flow can run
+// against the real portal or the local stub in fixtures/stub-portal.js
+
+const SMG_PORTAL_CONFIG = {
+  portalUrl: process.env.SMG_PORTAL_URL,
+  reportUrl: process.env.SMG_REPORT_URL || '/reports/full-scale',
+  username: process.env.SMG_USERNAME,
+  password: process.env.SMG_PASSWORD,
+  headless: process.env.SMG_HEADLESS !== 'false',
+  timeoutMs: parseInt(process.env.SMG_DOWNLOAD_TIMEOUT_MS || '60000', 10),
+  selectors: {
+    username: process.env.SMG_SELECTOR_USERNAME || '#username',
+    password: process.env.SMG_SELECTOR_PASSWORD || '#password',
+    loginButton: process.env.SMG_SELECTOR_LOGIN_BUTTON || '#login',
+    loggedIn: process.env.SMG_SELECTOR_LOGGED_IN || '#report-filters',
+    startDate: process.env.SMG_SELECTOR_START_DATE || '#startDate',
+    endDate: process.env.SMG_SELECTOR_END_DATE || '#endDate',
+    exportButton: process.env.SMG_SELECTOR_EXPORT_BUTTON || '#export-csv'
+  }
+};
+
+const downloadSMGReport = createSMGPortalDownloader({
+  config: SMG_PORTAL_CONFIG,
+  readReport: buffer => isXlsxBuffer(buffer) ? readXlsxReport(buffer) : buffer.toString('utf8')
+});
+
+app.post('/smg-download', validateBody('download_request'), async (req, res) => {
+  try {
+    console.log('📥 Starting SMG report download...');
+    
+    const { startDate: startInput, endDate: endInput = startInput, runPipeline = false, uploadMode = 'upsert' } = req.body;
+    const startDate = normalizeDateForStorageUTC(startInput);
+    const endDate = normalizeDateForStorageUTC(endInput);
+    
+    const invalidDates = [...new Set([startDate, endDate])].filter(d => !isValidISODate(d));
+    if (invalidDates.length > 0) {
+      return res.status(400).json({
+        error: `Invalid date: ${invalidDates.join(', ')} (expected a real date as YYYY-MM-DD or M/D/YYYY)`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (startDate > endDate) {
+      return res.status(400).json({
+        error: 'Invalid date range: endDate is before startDate',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // A multi-day export is period data - load it into period_cx_scores unless told otherwise
+    const isRange = startDate !== endDate;
+    const rangeMode = req.body.rangeMode || (isRange ? 'period' : 'reject');
+    if (runPipeline && isRange && rangeMode === 'reject') {
+      return res.status(400).json({
+        error: 'Range download rejected',
+        code: 'RANGE_REPORT_REJECTED',
+        message: `${startDate} - ${endDate} exports one report for the whole range; daily loads need startDate = endDate (omit rangeMode or pass 'period' to load it into period_cx_scores, or use /smg-backfill for one report per day)`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const csvData = await downloadSMGReport(startDate, endDate);
+    
+    if (!runPipeline) {
+      return res.json({
+        success: true,
+        start_date: startDate,
+        end_date: endDate,
+        csv_length: csvData.length,
+        csvData: csvData,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Hand the report straight to the pipeline
+    const pipelineResults = await runSMGPipeline({
+      csvData,
+      dates: [startDate],
+      uploadMode,
+      rangeMode,
+      force: req.force,
+      source: 'download'
+    });
+    
+    res.status(pipelineResults.status === 'failed' ? 500 : 200).json({
+      success: pipelineResults.status !== 'failed',
+      start_date: startDate,
+      end_date: endDate,
+      csv_length: csvData.length,
+      pipeline_results: pipelineResults,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ SMG download error:', error);
+    res.status(500).json({
+      error: 'SMG report download failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PHASE 1: SMG Backfill - Multi-day historical reloads, one Full Scale Report per day
+const MAX_BACKFILL_DAYS = parseInt(process.env.SMG_BACKFILL_MAX_DAYS || '366', 10);
+const BACKFILL_LEASE_MS = parseInt(process.env.SMG_BACKFILL_LEASE_MS || '600000', 10);
+// Backfills this replica is running - the backfill_jobs lease keeps other replicas off them
+const activeBackfills = new Set();
+
+/**
+ * List every "YYYY-MM-DD" date from startDate to endDate inclusive
+ */
+function enumerateDates(startDate, endDate) {
+  const dates = [];
+  const current = new Date(`${normalizeDateForStorageUTC(startDate)}T00:00:00Z`);
+  const last = new Date(`${normalizeDateForStorageUTC(endDate)}T00:00:00Z`);
+  
+  while (current <= last) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * Update a backfill_days row
+ */
+async function updateBackfillDay(backfillId, date, fields) {
+  const { error } = await supabase
+    .from('backfill_days')
+    .update(fields)
+    .eq('backfill_id', backfillId)
+    .eq('date', date);
+  
+  if (error) throw new Error(`Backfill day update failed: ${error.message}`);
+}
+
+/**
+ * Update a backfill_jobs row; with owner set, only while this replica still holds the lease
+ */
+async function updateBackfillJob(backfillId, fields, { owner = null } = {}) {
+  let query = supabase
+    .from('backfill_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('backfill_id', backfillId);
+  if (owner) query = query.eq('locked_by', owner);
+  
+  const { error } = await query;
+  if (error) throw new Error(`Backfill job update failed: ${error.message}`);
+}
+
+/**
+ * Claim a backfill's lease for this replica, or renew it when this replica already holds it
+ * Returns false when another replica holds an unexpired lease or the backfill has completed.
+ * The owner is the replica id the scheduler leases with (SCHEDULER_INSTANCE_ID).
+ */
+async function claimBackfill(backfillId) {
+  const { data: claimed, error } = await supabase.rpc('claim_backfill', {
+    p_backfill_id: backfillId,
+    p_owner: SCHEDULER_INSTANCE_ID,
+    p_lease_ms: BACKFILL_LEASE_MS
+  });
+  
+  if (error) throw new Error(`Backfill lock failed: ${error.message}`);
+  return claimed === true;
+}
+
+/**
+ * Whether some replica is running the backfill right now (its lease has not expired)
+ */
+function isBackfillLeaseLive(backfill) {
+  return Boolean(backfill.locked_until) && new Date(backfill.locked_until).getTime() > Date.now();
+}
+
+/**
+ * Process every day of a backfill that has not completed yet, in date order
+ * Used both for new backfills and to resume one after a crash. The caller has claimed the lease
+ * (see startBackfillRun); it is renewed before every day and released when the run ends.
+ */
+async function runBackfill(backfill) {
+  const backfillId = backfill.backfill_id;
+  const lease = { owner: SCHEDULER_INSTANCE_ID };
+  
+  try {
+    console.log(`🗓️ Backfill ${backfillId}: starting (${backfill.start_date} → ${backfill.end_date}, ${backfill.upload_mode})`);
+    await updateBackfillJob(backfillId, { error: null }, lease);
+    
+    const { data: days, error: daysError } = await supabase
+      .from('backfill_days')
+      .select('date, status')
+      .eq('backfill_id', backfillId)
+      .order('date', { ascending: true });
+    
+    if (daysError) throw new Error(`Backfill day lookup failed: ${daysError.message}`);
+    
+    let failedDays = 0;
+    for (const day of days) {
+      if (day.status === 'completed') continue;
+      
+      if (!(await claimBackfill(backfillId))) {
+        const error = new Error('Backfill lease lost - another replica took it over after it expired');
+        error.code = 'BACKFILL_LEASE_LOST';
+        throw error;
+      }
+      
+      console.log(`🗓️ Backfill ${backfillId}: processing ${day.date}`);
+      await updateBackfillDay(backfillId, day.date, {
+        status: 'running',
+        error: null,
+        started_at: new Date().toISOString(),
+        completed_at: null
+      });
+      
+      try {
+        const csvData = await downloadSMGReport(day.date, day.date);
+        const pipelineResults = await runSMGPipeline({
+          csvData,
+          dates: [day.date],
+          uploadMode: backfill.upload_mode,
+          // Days are backfilled because their rows are missing or wrong - reload even an already ingested report
+          force: true,
+          source: 'backfill'
+        });
+        
+        if (pipelineResults.status === 'failed') {
+          const error = new Error(pipelineResults.final_error);
+          error.pipelineId = pipelineResults.pipeline_id;
+          throw error;
+        }
+        
+        await updateBackfillDay(backfillId, day.date, {
+          status: 'completed',
+          pipeline_id: pipelineResults.pipeline_id,
+          records_processed: pipelineResults.records_processed,
+          completed_at: new Date().toISOString()
+        });
+        
+      } catch (error) {
+        failedDays++;
+        console.error(`❌ Backfill ${backfillId}: ${day.date} failed:`, error.message);
+        await updateBackfillDay(backfillId, day.date, {
+          status: 'failed',
+          pipeline_id: error.pipelineId || null,
+          error: error.message,
+          completed_at: new Date().toISOString()
+        });
+      }
+    }
+    
+    await updateBackfillJob(backfillId, {
+      status: failedDays > 0 ? 'completed_with_errors' : 'completed',
+      locked_by: null,
+      locked_until: null
+    }, lease);
+    console.log(`✅ Backfill ${backfillId}: finished (${failedDays} failed days)`);
+    
+  } catch (error) {
+    if (error.code === 'BACKFILL_LEASE_LOST') {
+      console.warn(`⚠️ Backfill ${backfillId}: ${error.message} - stopping here`);
+      return;
+    }
+    console.error(`❌ Backfill ${backfillId} error:`, error);
+    await updateBackfillJob(backfillId, {
+      status: 'failed',
+      error: error.message,
+      locked_by: null,
+      locked_until: null
+    }, lease).catch(updateError => {
+      console.error(`❌ Backfill ${backfillId}: could not record failure:`, updateError.message);
+    });
+  } finally {
+    activeBackfills.delete(backfillId);
+  }
+}
+
+/**
+ * Load a backfill job row, or null when it does not exist
+ */
+async function getBackfillJob(backfillId) {
+  const { data, error } = await supabase
+    .from('backfill_jobs')
+    .select('*')
+    .eq('backfill_id', backfillId)
+    .limit(1);
+  
+  if (error) throw new Error(`Backfill lookup failed: ${error.message}`);
+  return data[0] || null;
+}
+
+/**
+ * Claim a backfill's lease and run it in the background
+ * Returns false when this or another replica is already running it, or it has completed
+ */
+async function startBackfillRun(backfill) {
+  const backfillId = backfill.backfill_id;
+  if (activeBackfills.has(backfillId)) return false;
+  activeBackfills.add(backfillId);
+  
+  let claimed = false;
+  try {
+    claimed = await claimBackfill(backfillId);
+  } finally {
+    if (!claimed) activeBackfills.delete(backfillId);
+  }
+  if (!claimed) return false;
+  
+  runBackfill(backfill);
+  return true;
+}
+
+/**
+ * Create a backfill for the given dates (need not be contiguous) and start it in the background
+ * Progress is exposed via GET /smg-backfill/:id
+ */
+async function startBackfill(dates, uploadMode) {
+  const backfill = {
+    // Random suffix so two backfills started in the same millisecond cannot collide
+    backfill_id: `backfill_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    start_date: dates[0],
+    end_date: dates[dates.length - 1],
+    upload_mode: uploadMode,
+    status: 'pending'
+  };
+  
+  const { error: jobError } = await supabase.from('backfill_jobs').insert(backfill);
+  if (jobError) throw new Error(`Backfill job insert failed: ${jobError.message}`);
+  
+  const { error: daysError } = await supabase
+    .from('backfill_days')
+    .insert(dates.map(date => ({ backfill_id: backfill.backfill_id, date, status: 'pending' })));
+  if (daysError) throw new Error(`Backfill day insert failed: ${daysError.message}`);
+  
+  await startBackfillRun(backfill);
+  return backfill;
+}
+
+app.post('/smg-backfill', validateBody('backfill_request'), async (req, res) => {
+  try {
+    console.log('🗓️ Starting SMG backfill...');
+    
+    const { startDate, endDate, uploadMode = 'upsert' } = req.body;
+    
+    const invalidDates = [startDate, endDate].filter(d => !isValidISODate(normalizeDateForStorageUTC(String(d))));
+    if (invalidDates.length > 0) {
+      return res.status(400).json({
+        error: `Invalid date: ${invalidDates.join(', ')} (expected a real date as YYYY-MM-DD or M/D/YYYY)`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const dates = enumerateDates(startDate, endDate);
+    
+    if (dates.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid date range: endDate is before startDate',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (dates.length > MAX_BACKFILL_DAYS) {
+      return res.status(400).json({
+        error: `Date range too large: ${dates.length} days (maximum ${MAX_BACKFILL_DAYS})`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const backfill = await startBackfill(dates, uploadMode);
+    
+    res.status(202).json({
+      success: true,
+      backfill_id: backfill.backfill_id,
+      start_date: backfill.start_date,
+      end_date: backfill.end_date,
+      days_total: dates.length,
+      upload_mode: uploadMode,
+      progress_url: `/smg-backfill/${backfill.backfill_id}`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ SMG backfill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/smg-backfill/:id', async (req, res) => {
+  try {
+    const backfill = await getBackfillJob(req.params.id);
+    
+    if (!backfill) {
+      return res.status(404).json({
+        error: `Backfill not found: ${req.params.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { data: days, error: daysError } = await supabase
+      .from('backfill_days')
+      .select('date, status, pipeline_id, records_processed, error, started_at, completed_at')
+      .eq('backfill_id', backfill.backfill_id)
+      .order('date', { ascending: true });
+    
+    if (daysError) throw new Error(`Backfill day lookup failed: ${daysError.message}`);
+    
+    const countByStatus = status => days.filter(day => day.status === status).length;
+    const completed = countByStatus('completed');
+    // Left running/pending with no live lease: the replica running it crashed or restarted
+    const active = isBackfillLeaseLive(backfill);
+    const interrupted = !active && ['pending', 'running'].includes(backfill.status);
+    
+    res.json({
+      success: true,
+      backfill: backfill,
+      active: active,
+      interrupted: interrupted,
+      progress: {
+        days_total: days.length,
+        days_completed: completed,
+        days_failed: countByStatus('failed'),
+        days_running: countByStatus('running'),
+        days_pending: countByStatus('pending'),
+        percent_complete: days.length > 0 ? Math.round((completed / days.length) * 100) : 0,
+        records_processed: days.reduce((sum, day) => sum + (day.records_processed || 0), 0),
+        next_incomplete_date: days.find(day => day.status !== 'completed')?.date || null
+      },
+      days: days,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ SMG backfill status error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/smg-backfill/:id/resume', validateBody('empty_request'), async (req, res) => {
+  try {
+    const backfill = await getBackfillJob(req.params.id);
+    
+    if (!backfill) {
+      return res.status(404).json({
+        error: `Backfill not found: ${req.params.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (isBackfillLeaseLive(backfill)) {
+      return res.status(409).json({
+        error: 'Backfill is already running',
+        backfill_id: backfill.backfill_id,
+        locked_by: backfill.locked_by,
+        locked_until: backfill.locked_until,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (backfill.status === 'completed') {
+      return res.status(409).json({
+        error: 'Backfill already completed',
+        backfill_id: backfill.backfill_id,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Resuming a replace backfill runs more replace loads
+    if (backfill.upload_mode === 'replace' && !checkRouteRole(req, res, 'admin')) return;
+    
+    // Completed days are skipped; failed and interrupted ('running') days are retried
+    if (!(await startBackfillRun(backfill))) {
+      return res.status(409).json({
+        error: 'Backfill is already running',
+        backfill_id: backfill.backfill_id,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      backfill_id: backfill.backfill_id,
+      resumed: true,
+      progress_url: `/smg-backfill/${backfill.backfill_id}`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ SMG backfill resume error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// MODULE 2: SMG Transform - SOPHISTICATED SMG CSV transformation with DEBUG LOGGING
-app.post('/smg-transform', async (req, res) => {
+// GAP DETECTION - Store/date combinations missing from daily_cx_scores (monthly reconciliation)
+const COVERAGE_PAGE_SIZE = 1000;
+
+/**
+ * Every (store, day) with scores between two dates, with the questions it has
+ */
+async function fetchScoreCoverage(fromDate, toDate) {
+  const coverage = [];
+  
+  for (let offset = 0; ; offset += COVERAGE_PAGE_SIZE) {
+    const { data: page, error } = await supabase
+      .rpc('daily_cx_score_coverage', { p_from: fromDate, p_to: toDate })
+      .range(offset, offset + COVERAGE_PAGE_SIZE - 1);
+    
+    if (error) throw new Error(`Score coverage lookup failed: ${error.message}`);
+    coverage.push(...page);
+    if (page.length < COVERAGE_PAGE_SIZE) return coverage;
+  }
+}
+
+/**
+ * Cross-reference calendar days and stores against daily_cx_scores
+ * A store-day is missing when it has no rows, incomplete when it lacks questions other
+ * stores reported in the range. Dates with no rows for any store are listed once as no_data.
+ */
+async function findScoreGaps(fromDate, toDate, { excludeHolidays = false } = {}) {
+  const [calendar, storesResult, coverage] = await Promise.all([
+    fetchCalendarDays(fromDate, toDate),
+    supabase.from('stores').select('store_id, store_number, store_name').order('store_number', { ascending: true }),
+    fetchScoreCoverage(fromDate, toDate)
+  ]);
+  
+  if (storesResult.error) throw new Error(`Store lookup failed: ${storesResult.error.message}`);
+  const stores = storesResult.data;
+  
+  const allDates = enumerateDates(fromDate, toDate);
+  const dates = allDates.filter(date => !(excludeHolidays && calendar.get(date)?.is_holiday));
+  const warnings = [];
+  const notInCalendar = allDates.filter(date => !calendar.has(date));
+  if (notInCalendar.length > 0) {
+    warnings.push(`Not in calendar table (checked anyway): ${notInCalendar.join(', ')}`);
+  }
+  
+  const questionsByStoreDay = new Map(
+    coverage.map(row => [`${row.store_id}|${row.date}`, new Set(row.questions)])
+  );
+  const expectedQuestions = [...new Set(coverage.flatMap(row => row.questions))].sort();
+  const describeStore = store => ({ store_id: store.store_id, store_number: store.store_number, store_name: store.store_name });
+  
+  const gaps = [];
+  let missingStoreDays = 0;
+  let incompleteStoreDays = 0;
+  
+  dates.forEach(date => {
+    const missingStores = [];
+    const incompleteStores = [];
+    
+    stores.forEach(store => {
+      const questions = questionsByStoreDay.get(`${store.store_id}|${date}`);
+      if (!questions) {
+        missingStores.push(describeStore(store));
+        return;
+      }
+      const missingQuestions = expectedQuestions.filter(question => !questions.has(question));
+      if (missingQuestions.length > 0) {
+        incompleteStores.push({ ...describeStore(store), missing_questions: missingQuestions });
+      }
+    });
+    
+    missingStoreDays += missingStores.length;
+    incompleteStoreDays += incompleteStores.length;
+    
+    if (stores.length > 0 && missingStores.length === stores.length) {
+      gaps.push({ date, status: 'no_data', missing_store_count: missingStores.length, is_holiday: Boolean(calendar.get(date)?.is_holiday) });
+    } else if (missingStores.length > 0 || incompleteStores.length > 0) {
+      gaps.push({ date, status: 'partial', missing_stores: missingStores, incomplete_stores: incompleteStores });
+    }
+  });
+  
+  return {
+    from: fromDate,
+    to: toDate,
+    exclude_holidays: excludeHolidays,
+    summary: {
+      dates_checked: dates.length,
+      stores_checked: stores.length,
+      expected_questions: expectedQuestions.length,
+      dates_with_gaps: gaps.length,
+      dates_without_data: gaps.filter(gap => gap.status === 'no_data').length,
+      missing_store_days: missingStoreDays,
+      incomplete_store_days: incompleteStoreDays
+    },
+    expected_questions: expectedQuestions,
+    gap_dates: gaps.map(gap => gap.date),
+    gaps: gaps,
+    warnings: warnings
+  };
+}
+
+/**
+ * Validate from/to for the gap endpoints; returns an error message or null
+ */
+function validateGapRange(from, to) {
+  if (!from || !to) return 'Missing required parameters: from and to (YYYY-MM-DD)';
+  
+  const invalidDates = [from, to].filter(date => !isValidISODate(date));
+  if (invalidDates.length > 0) return `Invalid date: ${invalidDates.join(', ')} (expected YYYY-MM-DD)`;
+  if (from > to) return 'Invalid date range: to is before from';
+  
+  const days = enumerateDates(from, to).length;
+  if (days > MAX_BACKFILL_DAYS) return `Date range too large: ${days} days (maximum ${MAX_BACKFILL_DAYS})`;
+  return null;
+}
+
+app.get('/smg-gaps', async (req, res) => {
   try {
-    console.log('🔄 Starting sophisticated SMG CSV transformation with debug logging...');
+    const { from, to } = req.query;
+    const rangeError = validateGapRange(from, to);
+    
+    if (rangeError) {
+      return res.status(400).json({
+        error: rangeError,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const report = await findScoreGaps(from, to, { excludeHolidays: req.query.excludeHolidays === 'true' });
+    console.log(`🔎 Gap check ${from} → ${to}: ${report.summary.dates_with_gaps} dates with gaps, ${report.summary.missing_store_days} missing store-days`);
+    
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
     
-    const { csvData, date } = req.body;
+  } catch (error) {
+    console.error('❌ SMG gaps error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/smg-gaps/backfill', validateBody('gap_backfill_request'), async (req, res) => {
+  try {
+    const { from, to, uploadMode = 'upsert', excludeHolidays = false } = req.body;
+    const rangeError = validateGapRange(from, to);
     
-    if (!csvData) {
+    if (rangeError) {
       return res.status(400).json({
-        error: 'Missing required parameter: csvData',
+        error: rangeError,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const report = await findScoreGaps(from, to, { excludeHolidays });
+    
+    if (report.gap_dates.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No gaps found - nothing to backfill',
+        summary: report.summary,
         timestamp: new Date().toISOString()
       });
     }
     
-    if (!date) {
+    // Each report covers every store for its day, so gaps are reloaded a whole day at a time
+    const backfill = await startBackfill(report.gap_dates, uploadMode);
+    console.log(`🗓️ Gap backfill ${backfill.backfill_id} queued for ${report.gap_dates.length} dates`);
+    
+    res.status(202).json({
+      success: true,
+      backfill_id: backfill.backfill_id,
+      dates: report.gap_dates,
+      days_total: report.gap_dates.length,
+      upload_mode: uploadMode,
+      summary: report.summary,
+      progress_url: `/smg-backfill/${backfill.backfill_id}`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ SMG gap backfill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// STORE ALIASES - Review queue for unmapped SMG locations and approved location → store links
+
+app.get('/smg-unmapped-locations', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '30', 10);
+    
+    if (isNaN(days) || days < 1) {
       return res.status(400).json({
-        error: 'Missing required parameter: date',
+        error: 'Invalid parameter: days (must be a positive integer)',
         timestamp: new Date().toISOString()
       });
     }
     
-    console.log('📊 Using sophisticated SMG parsing logic with debug logging...');
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
     
-    // Transform using sophisticated SMG logic
-    const transformedData = transformSMGCSV(csvData, date);
+    const [sightingsResult, aliasesResult] = await Promise.all([
+      supabase
+        .from('unmapped_location_sightings')
+        .select('location_key, store_location, report_date, records, first_seen_at, last_seen_at')
+        .gte('last_seen_at', since),
+      supabase.from('store_aliases').select('location_key')
+    ]);
+    
+    if (sightingsResult.error) throw new Error(`Unmapped location lookup failed: ${sightingsResult.error.message}`);
+    if (aliasesResult.error) throw new Error(`Store alias lookup failed: ${aliasesResult.error.message}`);
+    
+    // Locations that already have an approved alias are no longer waiting for review
+    const aliasedKeys = new Set(aliasesResult.data.map(alias => alias.location_key));
+    const byLocation = new Map();
+    
+    sightingsResult.data
+      .filter(sighting => !aliasedKeys.has(sighting.location_key))
+      .forEach(sighting => {
+        if (!byLocation.has(sighting.location_key)) {
+          byLocation.set(sighting.location_key, {
+            store_location: sighting.store_location,
+            records: 0,
+            affected_dates: [],
+            first_seen_at: sighting.first_seen_at,
+            last_seen_at: sighting.last_seen_at
+          });
+        }
+        const location = byLocation.get(sighting.location_key);
+        location.records += sighting.records;
+        location.affected_dates.push(sighting.report_date);
+        if (sighting.first_seen_at < location.first_seen_at) location.first_seen_at = sighting.first_seen_at;
+        if (sighting.last_seen_at > location.last_seen_at) location.last_seen_at = sighting.last_seen_at;
+      });
+    
+    const locations = [...byLocation.values()]
+      .map(location => {
+        const affectedDates = location.affected_dates.sort();
+        return {
+          store_location: location.store_location,
+          records: location.records,
+          dates_seen: affectedDates.length,
+          first_seen_date: affectedDates[0],
+          last_seen_date: affectedDates[affectedDates.length - 1],
+          first_seen_at: location.first_seen_at,
+          last_seen_at: location.last_seen_at,
+          affected_dates: affectedDates
+        };
+      })
+      .sort((a, b) => b.records - a.records);
+    
+    res.json({
+      success: true,
+      days: days,
+      count: locations.length,
+      locations: locations,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Unmapped locations error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/smg-store-aliases', async (req, res) => {
+  try {
+    const { data: aliases, error } = await supabase
+      .from('store_aliases')
+      .select('location_key, store_location, store_id, approved_by, approved_at')
+      .order('approved_at', { ascending: false });
+    
+    if (error) throw new Error(`Store alias lookup failed: ${error.message}`);
+    
+    res.json({
+      success: true,
+      count: aliases.length,
+      aliases: aliases,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Store aliases error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/smg-store-aliases', validateBody('store_alias_request'), async (req, res) => {
+  try {
+    const { store_location: storeLocation, store_id: storeId, approved_by: approvedBy = null } = req.body;
     
-    // Map store locations to store IDs in database
-    console.log('🏪 Fetching store mappings from Supabase...');
     const { data: stores, error: storeError } = await supabase
       .from('stores')
-      .select('store_id, store_number, store_name');
+      .select('store_id, store_number, store_name')
+      .eq('store_id', storeId)
+      .limit(1);
+    
+    if (storeError) throw new Error(`Store lookup failed: ${storeError.message}`);
+    
+    if (stores.length === 0) {
+      return res.status(400).json({
+        error: `Unknown store_id: ${storeId}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const alias = {
+      location_key: normalizeLocationKey(storeLocation),
+      store_location: storeLocation.trim(),
+      store_id: storeId,
+      approved_by: approvedBy,
+      approved_at: new Date().toISOString()
+    };
+    
+    const { error: aliasError } = await supabase
+      .from('store_aliases')
+      .upsert(alias, { onConflict: 'location_key', ignoreDuplicates: false });
+    
+    if (aliasError) throw new Error(`Store alias save failed: ${aliasError.message}`);
+    
+    // Make the alias effective for the next transform/pipeline run right away
+    await storeResolver.getIndex({ forceRefresh: true });
+    
+    const { data: sightings, error: sightingsError } = await supabase
+      .from('unmapped_location_sightings')
+      .select('report_date')
+      .eq('location_key', alias.location_key);
+    
+    if (sightingsError) throw new Error(`Unmapped location lookup failed: ${sightingsError.message}`);
+    
+    const affectedDates = [...new Set(sightings.map(sighting => sighting.report_date))].sort();
+    
+    console.log(`✅ Store alias approved: "${alias.store_location}" → ${stores[0].store_name || storeId}`);
+    res.json({
+      success: true,
+      alias: alias,
+      store: stores[0],
+      affected_dates: affectedDates,
+      next_step: affectedDates.length > 0
+        ? 'Re-run /smg-pipeline (with force: true, as the reports were already ingested) or /smg-backfill for affected_dates to load the previously dropped rows'
+        : null,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Store alias approval error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// SCHEDULER - Runs the daily pipeline on cron schedules (SMG_SCHEDULES env and/or the schedules table)
+// Cron parsing and matching live in cron.js
+// Opt-in: each replica that sets it runs the cron (the schedules lease keeps slots from running twice)
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED === 'true';
+const SCHEDULER_TIMEZONE = process.env.SCHEDULER_TIMEZONE || STORE_TIMEZONE;
+const SCHEDULER_INSTANCE_ID = process.env.SCHEDULER_INSTANCE_ID || `${os.hostname()}_${process.pid}`;
+const SCHEDULE_LOCK_TTL_MS = parseInt(process.env.SCHEDULE_LOCK_TTL_MS || '7200000', 10);
+const SMG_DROP_FOLDER = process.env.SMG_DROP_FOLDER || null;
+const SCHEDULE_CSV_SOURCES = ['download', 'drop_folder'];
+
+// Schedules running in this process - the schedules table lease covers other replicas
+const runningSchedules = new Set();
+let envSchedulesSeeded = false;
+let lastSchedulerError = null;
+
+/**
+ * Schedule row with defaults applied and its cron parsed; bad config lands in config_error
+ */
+function normalizeSchedule(row) {
+  const schedule = {
+    ...row,
+    timezone: row.timezone || SCHEDULER_TIMEZONE,
+    csv_source: row.csv_source || 'download',
+    upload_mode: row.upload_mode || 'upsert',
+    paused: Boolean(row.paused),
+    config_error: null,
+    parsedCron: null
+  };
+  
+  try {
+    schedule.parsedCron = parseCron(schedule.cron);
+    zonedDateParts(new Date(), schedule.timezone);
+    if (!SCHEDULE_CSV_SOURCES.includes(schedule.csv_source)) {
+      throw new Error(`Invalid csv_source: ${schedule.csv_source} (expected one of ${SCHEDULE_CSV_SOURCES.join(', ')})`);
+    }
+    if (!UPLOAD_MODES.includes(schedule.upload_mode)) {
+      throw new Error(`Invalid upload_mode: ${schedule.upload_mode} (expected one of ${UPLOAD_MODES.join(', ')})`);
+    }
+  } catch (error) {
+    // Intl throws a RangeError for unknown timezones
+    schedule.config_error = error instanceof RangeError ? `Invalid timezone: ${schedule.timezone}` : error.message;
+  }
+  
+  return schedule;
+}
+
+/**
+ * Upsert SMG_SCHEDULES (JSON array of { name, cron, timezone?, csv_source?, upload_mode? })
+ * into the schedules table. paused is never sent, so pausing survives restarts.
+ */
+async function seedEnvSchedules() {
+  if (!process.env.SMG_SCHEDULES) {
+    envSchedulesSeeded = true;
+    return;
+  }
+  
+  let envSchedules;
+  try {
+    envSchedules = JSON.parse(process.env.SMG_SCHEDULES);
+    if (!Array.isArray(envSchedules)) throw new Error('expected a JSON array');
+  } catch (error) {
+    console.error(`❌ Ignoring SMG_SCHEDULES: ${error.message}`);
+    envSchedulesSeeded = true;
+    return;
+  }
+  
+  const rows = envSchedules
+    .filter(schedule => schedule && schedule.name && schedule.cron)
+    .map(schedule => ({
+      name: schedule.name,
+      cron: schedule.cron,
+      timezone: schedule.timezone || SCHEDULER_TIMEZONE,
+      csv_source: schedule.csv_source || 'download',
+      upload_mode: schedule.upload_mode || 'upsert'
+    }));
+  
+  if (rows.length > 0) {
+    const { error } = await supabase
+      .from('schedules')
+      .upsert(rows, { onConflict: 'name', ignoreDuplicates: false });
+    
+    if (error) throw new Error(`Schedule seeding failed: ${error.message}`);
+    console.log(`🗓️ Seeded ${rows.length} schedule(s) from SMG_SCHEDULES`);
+  }
+  
+  envSchedulesSeeded = true;
+}
+
+async function loadSchedules() {
+  const { data: schedules, error } = await supabase
+    .from('schedules')
+    .select('*')
+    .order('name', { ascending: true });
+  
+  if (error) throw new Error(`Schedule lookup failed: ${error.message}`);
+  return schedules.map(normalizeSchedule);
+}
+
+async function getSchedule(name) {
+  const { data: schedules, error } = await supabase
+    .from('schedules')
+    .select('*')
+    .eq('name', name)
+    .limit(1);
+  
+  if (error) throw new Error(`Schedule lookup failed: ${error.message}`);
+  return schedules.length > 0 ? normalizeSchedule(schedules[0]) : null;
+}
+
+/**
+ * Public view of a schedule, with its next cron run
+ */
+function describeSchedule(schedule) {
+  const { parsedCron, ...row } = schedule;
+  const nextRun = parsedCron && !schedule.paused ? nextCronRun(parsedCron, schedule.timezone) : null;
+  return {
+    ...row,
+    next_run_at: nextRun ? nextRun.toISOString() : null,
+    running_here: runningSchedules.has(schedule.name)
+  };
+}
+
+/**
+ * Find the report for one day in SMG_DROP_FOLDER by its title line (newest file wins)
+ * Both .csv and .xlsx files are considered; workbooks are returned as CSV text
+ */
+async function findDropFolderReport(date) {
+  if (!SMG_DROP_FOLDER) {
+    throw new Error('SMG drop folder is not configured - set SMG_DROP_FOLDER');
+  }
+  
+  const fileNames = (await fs.promises.readdir(SMG_DROP_FOLDER))
+    .filter(fileName => /\.(csv|xlsx)$/i.test(fileName));
+  const candidates = [];
+  
+  for (const fileName of fileNames) {
+    const filePath = path.join(SMG_DROP_FOLDER, fileName);
+    const [buffer, stats] = await Promise.all([
+      fs.promises.readFile(filePath),
+      fs.promises.stat(filePath)
+    ]);
+    let content;
+    try {
+      content = isXlsxBuffer(buffer) ? await readXlsxReport(buffer) : buffer.toString('utf8');
+    } catch (error) {
+      console.warn(`⚠️ Skipping ${fileName} in drop folder: ${error.message}`);
+      continue;
+    }
+    const range = extractReportDateRange(content);
+    
+    if (range && range.start_date === date && range.end_date === date) {
+      candidates.push({ fileName, content, modifiedMs: stats.mtimeMs });
+    }
+  }
+  
+  if (candidates.length === 0) {
+    throw new Error(`No Full Scale Report for ${date} in ${SMG_DROP_FOLDER}`);
+  }
+  
+  candidates.sort((a, b) => b.modifiedMs - a.modifiedMs);
+  console.log(`📂 Using ${candidates[0].fileName} from drop folder for ${date}`);
+  return candidates[0].content;
+}
+
+async function obtainScheduledReport(schedule, date) {
+  if (schedule.csv_source === 'drop_folder') return findDropFolderReport(date);
+  return downloadSMGReport(date, date);
+}
+
+/**
+ * Update a schedule's run state; with owner set, only while this replica still holds the lease
+ */
+async function updateScheduleState(name, updates, { owner = null } = {}) {
+  let query = supabase
+    .from('schedules')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('name', name);
+  if (owner) query = query.eq('locked_by', owner);
+  
+  const { error } = await query;
+  if (error) console.error(`❌ Could not update schedule ${name}:`, error.message);
+}
+
+/**
+ * One scheduled run: compute the dates, fetch each day's report, run the pipeline, record the outcome
+ */
+async function executeSchedule(schedule, trigger) {
+  const runStarted = new Date();
+  const { dates } = await calculateDateWindow({ timezone: schedule.timezone });
+  const results = [];
+  
+  console.log(`🗓️ Schedule ${schedule.name} (${trigger}) running for ${dates.join(', ')}`);
+  await updateScheduleState(schedule.name, {
+    last_run_at: runStarted.toISOString(),
+    last_completed_at: null,
+    last_status: 'running',
+    last_trigger: trigger,
+    last_results: [],
+    last_error: null
+  });
+  
+  for (const date of dates) {
+    try {
+      const csvData = await obtainScheduledReport(schedule, date);
+      const pipelineResults = await runSMGPipeline({
+        csvData,
+        dates: [date],
+        uploadMode: schedule.upload_mode,
+        source: 'schedule'
+      });
+      
+      results.push({
+        date,
+        status: pipelineResults.status,
+        pipeline_id: pipelineResults.pipeline_id,
+        records_processed: pipelineResults.records_processed,
+        error: pipelineResults.final_error || null
+      });
+    } catch (error) {
+      console.error(`❌ Schedule ${schedule.name} could not get the report for ${date}:`, error.message);
+      results.push({ date, status: 'failed', pipeline_id: null, records_processed: 0, error: error.message });
+    }
+  }
+  
+  const failed = results.filter(result => result.status === 'failed');
+  const status = failed.length === 0 ? 'completed' : failed.length === results.length ? 'failed' : 'partial';
+  
+  await updateScheduleState(schedule.name, {
+    last_completed_at: new Date().toISOString(),
+    last_status: status,
+    last_results: results,
+    last_error: failed.length > 0 ? failed.map(result => `${result.date}: ${result.error}`).join('; ') : null,
+    locked_by: null,
+    locked_until: null
+  }, { owner: SCHEDULER_INSTANCE_ID });
+  
+  console.log(`${status === 'completed' ? '✅' : '⚠️'} Schedule ${schedule.name} ${status}: ${results.length - failed.length} of ${results.length} dates loaded`);
+  return { status, results };
+}
+
+/**
+ * Claim the schedule lease and start a run in the background
+ * slot is the cron minute being run - null for manual triggers
+ */
+async function startScheduleRun(schedule, { trigger, slot = null }) {
+  if (runningSchedules.has(schedule.name)) {
+    return { started: false, reason: 'already running in this instance' };
+  }
+  
+  const { data: claimed, error } = await supabase.rpc('claim_schedule', {
+    p_name: schedule.name,
+    p_owner: SCHEDULER_INSTANCE_ID,
+    p_slot: slot ? slot.toISOString() : null,
+    p_lease_ms: SCHEDULE_LOCK_TTL_MS
+  });
+  
+  if (error) throw new Error(`Schedule lock failed: ${error.message}`);
+  if (!claimed) {
+    return { started: false, reason: slot ? 'slot already claimed or schedule locked by another instance' : 'locked by another instance' };
+  }
+  
+  runningSchedules.add(schedule.name);
+  executeSchedule(schedule, trigger)
+    .catch(runError => console.error(`❌ Schedule ${schedule.name} crashed:`, runError))
+    .finally(() => runningSchedules.delete(schedule.name));
+  
+  return { started: true };
+}
+
+/**
+ * Start every active schedule whose cron matches this minute
+ */
+async function schedulerTick(now = new Date()) {
+  const slot = new Date(Math.floor(now.getTime() / 60000) * 60000);
+  let schedules;
+  
+  try {
+    if (!envSchedulesSeeded) await seedEnvSchedules();
+    schedules = await loadSchedules();
+    lastSchedulerError = null;
+  } catch (error) {
+    // Log once per distinct error rather than every minute
+    if (error.message !== lastSchedulerError) console.error('❌ Scheduler:', error.message);
+    lastSchedulerError = error.message;
+    return;
+  }
+  
+  for (const schedule of schedules) {
+    if (schedule.paused || schedule.config_error) continue;
+    if (!cronFiresAt(schedule.parsedCron, schedule.timezone, slot)) continue;
     
-    if (storeError) {
-      console.error('❌ Store lookup error:', storeError);
-      return res.status(500).json({
-        error: 'Failed to fetch store mappings',
-        details: storeError.message,
-        timestamp: new Date().toISOString()
-      });
+    try {
+      const run = await startScheduleRun(schedule, { trigger: 'cron', slot });
+      if (!run.started) console.log(`⏭️ Schedule ${schedule.name} skipped: ${run.reason}`);
+    } catch (error) {
+      console.error(`❌ Schedule ${schedule.name} could not start:`, error.message);
     }
+  }
+}
+
+function startScheduler() {
+  if (!SCHEDULER_ENABLED) {
+    console.log('⏸️ Scheduler disabled (set SCHEDULER_ENABLED=true to run schedules)');
+    return;
+  }
+  
+  // Fire just after each minute boundary
+  const scheduleNextTick = () => {
+    const timer = setTimeout(() => {
+      schedulerTick().finally(scheduleNextTick);
+    }, 60000 - (Date.now() % 60000) + 500);
+    timer.unref();
+  };
+  
+  console.log(`🗓️ Scheduler started (instance ${SCHEDULER_INSTANCE_ID}, default timezone ${SCHEDULER_TIMEZONE})`);
+  scheduleNextTick();
+}
+
+app.get('/smg-schedules', async (req, res) => {
+  try {
+    const schedules = await loadSchedules();
     
-    console.log(`🏪 Found ${stores.length} stores in database`);
-    
-    // Create store lookup maps
-    const storeByNumber = new Map();
-    const storeByName = new Map();
-    stores.forEach(store => {
-      if (store.store_number) storeByNumber.set(store.store_number.toString(), store.store_id);
-      if (store.store_name) storeByName.set(store.store_name.toLowerCase(), store.store_id);
-    });
-    
-    // Map store locations to store IDs and format for database
-    const finalData = [];
-    let mappedCount = 0;
-    let skippedCount = 0;
-    
-    transformedData.forEach(record => {
-      let storeId = null;
-      const storeLocation = record.store_location;
-      
-      // Skip non-store entries (Combined, Chad Reynolds, QDOBA, etc.)
-      if (!isValidStoreLocation(storeLocation)) {
-        console.log(`⏭️ Skipping non-store entry: ${storeLocation}`);
-        skippedCount++;
-        return;
-      }
-      
-      // Try to extract store number from location string (e.g., "QDOBA,1822,0.799" -> "1822")
-      const storeNumberMatch = storeLocation.match(/(\d+)/);
-      if (storeNumberMatch) {
-        const allDigits = storeNumberMatch[1];
-        const storeNumber = allDigits.length >= 4 ? allDigits.slice(-4) : allDigits;
-        storeId = storeByNumber.get(storeNumber);
-        
-        if (!storeId && allDigits.length > 4) {
-          // Also try with leading zeros removed in case database stores as integer
-          const storeNumberInt = parseInt(storeNumber, 10).toString();
-          storeId = storeByNumber.get(storeNumberInt);
-        }
-      }
-      
-      // Try name matching as fallback
-      if (!storeId) {
-        const locationLower = storeLocation.toLowerCase();
-        for (const [storeName, id] of storeByName) {
-          if (locationLower.includes(storeName)) {
-            storeId = id;
-            break;
-          }
-        }
-      }
-      
-      if (storeId) {
-        finalData.push({
-          store_id: storeId,
-          date: record.date,
-          question: record.question,
-          score: record.score,
-          response_count: record.response_count,
-          response_percent: record.response_percent,
-          total_responses: record.total_responses
-        });
-        mappedCount++;
-      } else {
-        console.warn(`⚠️ Could not map store location: ${storeLocation}`);
-      }
-    });
-    
-    const result = {
+    res.json({
       success: true,
-      original_format: 'sophisticated_smg_csv',
-      original_lines: csvData.split('\n').length,
-      smg_records_extracted: transformedData.length,
-      non_store_entries_skipped: skippedCount,
-      database_records_mapped: finalData.length,
-      stores_found: stores.length,
-      mapping_success_rate: Math.round((mappedCount / (transformedData.length - skippedCount)) * 100),
-      transformation_method: 'sophisticated_smg_parser_with_filtering',
-      data: finalData,
+      scheduler: {
+        enabled: SCHEDULER_ENABLED,
+        instance_id: SCHEDULER_INSTANCE_ID,
+        default_timezone: SCHEDULER_TIMEZONE,
+        lock_ttl_ms: SCHEDULE_LOCK_TTL_MS,
+        drop_folder: SMG_DROP_FOLDER
+      },
+      count: schedules.length,
+      schedules: schedules.map(describeSchedule),
       timestamp: new Date().toISOString()
-    };
-    
-    console.log(`✅ Sophisticated SMG transformation complete: ${transformedData.length} SMG records → ${skippedCount} skipped → ${finalData.length} database records`);
-    res.json(result);
+    });
     
   } catch (error) {
-    console.error('❌ SMG transformation error:', error);
+    console.error('❌ SMG schedules error:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message,
@@ -581,171 +5303,45 @@ app.post('/smg-transform', async (req, res) => {
   }
 });
 
-// MODULE 3: SMG Upload - Supabase upload using upload.js patterns
-app.post('/smg-upload', async (req, res) => {
+app.post('/smg-schedules/:name/run', validateBody('empty_request'), async (req, res) => {
   try {
-    console.log('📤 Starting SMG data upload to Supabase...');
-    
-    const { data, mode = 'upsert' } = req.body;
+    const schedule = await getSchedule(req.params.name);
     
-    if (!data || !Array.isArray(data)) {
-      return res.status(400).json({
-        error: 'Missing or invalid parameter: data (must be array)',
+    if (!schedule) {
+      return res.status(404).json({
+        error: `Schedule not found: ${req.params.name}`,
         timestamp: new Date().toISOString()
       });
     }
     
-    if (data.length === 0) {
+    if (schedule.config_error) {
       return res.status(400).json({
-        error: 'Empty data array provided',
+        error: `Schedule ${schedule.name} is misconfigured`,
+        details: schedule.config_error,
         timestamp: new Date().toISOString()
       });
     }
     
-    console.log(`📊 Uploading ${data.length} records using ${mode} mode...`);
-    
-    // Validate data structure
-    const requiredFields = ['store_id', 'date', 'question', 'score'];
-    const validationErrors = [];
-    
-    data.forEach((record, index) => {
-      requiredFields.forEach(field => {
-        if (!record[field]) {
-          validationErrors.push(`Record ${index}: Missing required field '${field}'`);
-        }
-      });
-      
-      // Validate score range
-      if (record.score && (record.score < 1 || record.score > 5)) {
-        validationErrors.push(`Record ${index}: Score must be between 1 and 5, got ${record.score}`);
-      }
-    });
+    // Manual runs ignore paused - pausing only stops the cron
+    const run = await startScheduleRun(schedule, { trigger: 'manual' });
     
-    if (validationErrors.length > 0) {
-      return res.status(400).json({
-        error: 'Data validation failed',
-        validation_errors: validationErrors,
+    if (!run.started) {
+      return res.status(409).json({
+        error: `Schedule ${schedule.name} is already running`,
+        details: run.reason,
         timestamp: new Date().toISOString()
       });
     }
     
-    let uploadResult;
-    let uploadStats = {
-      inserted: 0,
-      updated: 0,
-      errors: 0,
-      total: data.length
-    };
-    
-    if (mode === 'upsert') {
-      // Use upsert for handling duplicates (update if exists, insert if new)
-      console.log('🔄 Using UPSERT mode for conflict resolution...');
-      
-      const { data: upsertData, error: upsertError } = await supabase
-        .from('daily_cx_scores')
-        .upsert(data, {
-          onConflict: 'store_id,date,question,score',
-          ignoreDuplicates: false
-        });
-      
-      if (upsertError) {
-        console.error('❌ Upsert error:', upsertError);
-        return res.status(500).json({
-          error: 'Database upsert failed',
-          details: upsertError.message,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      uploadResult = upsertData;
-      uploadStats.inserted = data.length; // Upsert doesn't provide granular stats
-      
-    } else if (mode === 'insert') {
-      // Use insert mode (will fail on duplicates)
-      console.log('📥 Using INSERT mode...');
-      
-      const { data: insertData, error: insertError } = await supabase
-        .from('daily_cx_scores')
-        .insert(data);
-      
-      if (insertError) {
-        console.error('❌ Insert error:', insertError);
-        return res.status(500).json({
-          error: 'Database insert failed',
-          details: insertError.message,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      uploadResult = insertData;
-      uploadStats.inserted = data.length;
-      
-    } else if (mode === 'replace') {
-      // Delete existing records for the same date/stores, then insert new ones
-      console.log('🔄 Using REPLACE mode - deleting existing records...');
-      
-      const dates = [...new Set(data.map(d => d.date))];
-      const storeIds = [...new Set(data.map(d => d.store_id))];
-      
-      // Delete existing records
-      const { error: deleteError } = await supabase
-        .from('daily_cx_scores')
-        .delete()
-        .in('date', dates)
-        .in('store_id', storeIds);
-      
-      if (deleteError) {
-        console.error('❌ Delete error:', deleteError);
-        return res.status(500).json({
-          error: 'Database delete failed during replace mode',
-          details: deleteError.message,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // Insert new records
-      const { data: insertData, error: insertError } = await supabase
-        .from('daily_cx_scores')
-        .insert(data);
-      
-      if (insertError) {
-        console.error('❌ Insert error after delete:', insertError);
-        return res.status(500).json({
-          error: 'Database insert failed during replace mode',
-          details: insertError.message,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      uploadResult = insertData;
-      uploadStats.inserted = data.length;
-    }
-    
-    // Get upload summary
-    const uniqueDates = [...new Set(data.map(d => d.date))];
-    const uniqueStores = [...new Set(data.map(d => d.store_id))];
-    const uniqueQuestions = [...new Set(data.map(d => d.question))];
-    
-    const result = {
+    res.status(202).json({
       success: true,
-      upload_mode: mode,
-      statistics: uploadStats,
-      summary: {
-        dates_affected: uniqueDates.length,
-        stores_affected: uniqueStores.length,
-        questions_processed: uniqueQuestions.length,
-        date_range: uniqueDates.sort(),
-        records_processed: data.length
-      },
-      upload_method: 'supabase_bulk_insert',
+      message: `Schedule ${schedule.name} started`,
+      status_url: '/smg-schedules',
       timestamp: new Date().toISOString()
-    };
-    
-    console.log(`✅ SMG data upload complete: ${data.length} records processed`);
-    res.json(result);
+    });
     
   } catch (error) {
-    console.error('❌ SMG upload error:', error);
+    console.error('❌ SMG schedule trigger error:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message,
@@ -754,484 +5350,275 @@ app.post('/smg-upload', async (req, res) => {
   }
 });
 
-// MODULE 4: SMG Pipeline - Complete integration flow with SOPHISTICATED PARSING and DEBUG LOGGING
-app.post('/smg-pipeline', async (req, res) => {
-  const pipelineStart = new Date();
-  let pipelineResults = {
-    pipeline_id: `pipeline_${Date.now()}`,
-    status: 'running',
-    started_at: pipelineStart.toISOString(),
-    stages: {
-      date_calculation: { status: 'pending', duration_ms: 0 },
-      transformation: { status: 'pending', duration_ms: 0 },
-      upload: { status: 'pending', duration_ms: 0 }
-    },
-    total_duration_ms: 0,
-    records_processed: 0,
-    errors: []
-  };
-
-  try {
-    console.log('🚀 Starting SMG complete pipeline with sophisticated parsing and debug logging...');
-    
-    const { csvData, dates, uploadMode = 'upsert' } = req.body;
-    
-    // STAGE 1: Date calculation (if dates not provided)
-    let processingDates = dates;
-    if (!processingDates || !Array.isArray(processingDates)) {
-      console.log('📅 Stage 1: Calculating processing dates...');
-      const stage1Start = Date.now();
-      
-      try {
-        const today = new Date();
-        processingDates = [];
-        
-        // Calculate the last 3 calendar days
-        for (let i = 0; i < 3; i++) {
-          const date = new Date(today);
-          date.setDate(today.getDate() - i);
-          processingDates.push(date.toISOString().split('T')[0]);
-        }
-        
-        pipelineResults.stages.date_calculation = {
-          status: 'completed',
-          duration_ms: Date.now() - stage1Start,
-          dates_calculated: processingDates
-        };
-        
-        console.log(`✅ Stage 1 complete: ${processingDates.length} dates calculated`);
-        
-      } catch (error) {
-        pipelineResults.stages.date_calculation = {
-          status: 'failed',
-          duration_ms: Date.now() - stage1Start,
-          error: error.message
-        };
-        pipelineResults.errors.push(`Date calculation failed: ${error.message}`);
-        throw error;
-      }
-    } else {
-      pipelineResults.stages.date_calculation = {
-        status: 'skipped',
-        duration_ms: 0,
-        reason: 'dates_provided_by_user'
-      };
-    }
-    
-    // Validate CSV data is provided
-    if (!csvData) {
-      throw new Error('CSV data is required for pipeline execution');
-    }
-    
-    // STAGE 2: SOPHISTICATED SMG CSV TRANSFORMATION WITH DEBUG LOGGING
-    console.log('🔄 Stage 2: Sophisticated SMG CSV transformation with debug logging...');
-    const stage2Start = Date.now();
-    let allTransformedData = [];
-    let totalSkippedEntries = 0;
-    
+['pause', 'resume'].forEach(action => {
+  app.post(`/smg-schedules/:name/${action}`, validateBody('empty_request'), async (req, res) => {
     try {
-      for (const processDate of processingDates) {
-        console.log(`  Processing date: ${processDate} with sophisticated SMG parsing and debug logging`);
-        
-        // Use sophisticated SMG parsing
-        const smgTransformedData = transformSMGCSV(csvData, processDate);
-        
-        console.log(`  📊 SMG Parser extracted ${smgTransformedData.length} records for ${processDate}`);
-        
-        // Map store locations to store IDs
-        const { data: stores, error: storeError } = await supabase
-          .from('stores')
-          .select('store_id, store_number, store_name');
-        
-        if (storeError) {
-          throw new Error(`Store lookup failed: ${storeError.message}`);
-        }
-        
-        console.log(`🏪 Found ${stores.length} stores in database`);
-        
-        // Create store lookup maps
-        const storeByNumber = new Map();
-        const storeByName = new Map();
-        stores.forEach(store => {
-          if (store.store_number) storeByNumber.set(store.store_number.toString(), store.store_id);
-          if (store.store_name) storeByName.set(store.store_name.toLowerCase(), store.store_id);
-        });
-        
-        // Map and format for database
-        const mappedData = [];
-        let dateSkippedCount = 0;
-        smgTransformedData.forEach(record => {
-          let storeId = null;
-          const storeLocation = record.store_location;
-          
-          // Skip non-store entries (Combined, Chad Reynolds, QDOBA, etc.)
-          if (!isValidStoreLocation(storeLocation)) {
-            console.log(`⏭️ Skipping non-store entry: ${storeLocation}`);
-            dateSkippedCount++;
-            return;
-          }
-          
-          // Try to extract store number from location string
-          const storeNumberMatch = storeLocation.match(/(\d+)/);
-          if (storeNumberMatch) {
-        const allDigits = storeNumberMatch[1];
-        const storeNumber = allDigits.length >= 4 ? allDigits.slice(-4) : allDigits;
-        storeId = storeByNumber.get(storeNumber);
-        
-        if (!storeId && allDigits.length > 4) {
-          // Also try with leading zeros removed in case database stores as integer
-          const storeNumberInt = parseInt(storeNumber, 10).toString();
-          storeId = storeByNumber.get(storeNumberInt);
-        }
-          }
-          
-          // Try name matching as fallback
-          if (!storeId) {
-            const locationLower = storeLocation.toLowerCase();
-            for (const [storeName, id] of storeByName) {
-              if (locationLower.includes(storeName)) {
-                storeId = id;
-                break;
-              }
-            }
-          }
-          
-          if (storeId) {
-            mappedData.push({
-              store_id: storeId,
-              date: normalizeDateForStorageUTC(processDate),
-              question: record.question,
-              score: record.score,
-              response_count: record.response_count,
-              response_percent: record.response_percent,
-              total_responses: record.total_responses
-            });
-          } else {
-            console.warn(`⚠️ Could not map store location: ${storeLocation}`);
-          }
-        });
-        
-        totalSkippedEntries += dateSkippedCount;
-        console.log(`  🗂️ Mapped ${mappedData.length} of ${smgTransformedData.length} SMG records to database format (${dateSkippedCount} non-store entries skipped)`);
-        allTransformedData = allTransformedData.concat(mappedData);
-      }
-      
-      pipelineResults.stages.transformation = {
-        status: 'completed',
-        duration_ms: Date.now() - stage2Start,
-        method: 'sophisticated_smg_parsing_with_filtering',
-        original_csv_lines: csvData.trim().split('\n').length,
-        smg_records_extracted: allTransformedData.length + totalSkippedEntries,
-        non_store_entries_skipped: totalSkippedEntries,
-        database_records_mapped: allTransformedData.length,
-        dates_processed: processingDates.length,
-        mapping_success: `${allTransformedData.length} records mapped to store IDs`
-      };
+      const { data: schedules, error } = await supabase
+        .from('schedules')
+        .update({ paused: action === 'pause', updated_at: new Date().toISOString() })
+        .eq('name', req.params.name)
+        .select('*');
       
-      console.log(`✅ Stage 2 complete: ${allTransformedData.length + totalSkippedEntries} records processed → ${totalSkippedEntries} skipped → ${allTransformedData.length} mapped with sophisticated SMG parsing and filtering`);
+      if (error) throw new Error(`Schedule update failed: ${error.message}`);
       
-    } catch (error) {
-      pipelineResults.stages.transformation = {
-        status: 'failed',
-        duration_ms: Date.now() - stage2Start,
-        error: error.message
-      };
-      pipelineResults.errors.push(`Sophisticated transformation failed: ${error.message}`);
-      throw error;
-    }
-    
-    // STAGE 3: Upload to Supabase
-    console.log('📤 Stage 3: Uploading to Supabase...');
-    const stage3Start = Date.now();
-    
-    try {
-      if (allTransformedData.length === 0) {
-        pipelineResults.stages.upload = {
-          status: 'skipped',
-          duration_ms: Date.now() - stage3Start,
-          reason: 'no_data_to_upload',
-          warning: 'No records were mapped - check store locations in SMG CSV data',
-          non_store_entries_skipped: totalSkippedEntries
-        };
-        
-        console.log('⚠️ Stage 3 skipped: No data to upload after sophisticated transformation and filtering');
-      } else {
-        // Validate data structure
-        const requiredFields = ['store_id', 'date', 'question', 'score'];
-        const validationErrors = [];
-        
-        allTransformedData.forEach((record, index) => {
-          requiredFields.forEach(field => {
-            if (!record[field]) {
-              validationErrors.push(`Record ${index}: Missing required field '${field}'`);
-            }
-          });
+      if (schedules.length === 0) {
+        return res.status(404).json({
+          error: `Schedule not found: ${req.params.name}`,
+          timestamp: new Date().toISOString()
         });
-        
-        if (validationErrors.length > 0) {
-          throw new Error(`Data validation failed: ${validationErrors.join(', ')}`);
-        }
-        
-        // Perform upload based on mode
-        let uploadResult;
-        if (uploadMode === 'upsert') {
-          const { data: upsertData, error: upsertError } = await supabase
-            .from('daily_cx_scores')
-            .upsert(allTransformedData, {
-              onConflict: 'store_id,date,question,score',
-              ignoreDuplicates: false
-            });
-          
-          if (upsertError) throw new Error(`Upsert failed: ${upsertError.message}`);
-          uploadResult = upsertData;
-          
-        } else if (uploadMode === 'replace') {
-          const dates = [...new Set(allTransformedData.map(d => d.date))];
-          const storeIds = [...new Set(allTransformedData.map(d => d.store_id))];
-          
-          // Delete existing records
-          const { error: deleteError } = await supabase
-            .from('daily_cx_scores')
-            .delete()
-            .in('date', dates)
-            .in('store_id', storeIds);
-          
-          if (deleteError) throw new Error(`Delete failed: ${deleteError.message}`);
-          
-          // Insert new records
-          const { data: insertData, error: insertError } = await supabase
-            .from('daily_cx_scores')
-            .insert(allTransformedData);
-          
-          if (insertError) throw new Error(`Insert failed: ${insertError.message}`);
-          uploadResult = insertData;
-        }
-        
-        const uniqueDates = [...new Set(allTransformedData.map(d => d.date))];
-        const uniqueStores = [...new Set(allTransformedData.map(d => d.store_id))];
-        
-        pipelineResults.stages.upload = {
-          status: 'completed',
-          duration_ms: Date.now() - stage3Start,
-          records_uploaded: allTransformedData.length,
-          upload_mode: uploadMode,
-          dates_affected: uniqueDates.length,
-          stores_affected: uniqueStores.length,
-          non_store_entries_skipped: totalSkippedEntries
-        };
-        
-        console.log(`✅ Stage 3 complete: ${allTransformedData.length} records uploaded via sophisticated parsing and filtering`);
       }
       
+      console.log(`${action === 'pause' ? '⏸️' : '▶️'} Schedule ${req.params.name} ${action}d`);
+      res.json({
+        success: true,
+        schedule: describeSchedule(normalizeSchedule(schedules[0])),
+        timestamp: new Date().toISOString()
+      });
+      
     } catch (error) {
-      pipelineResults.stages.upload = {
-        status: 'failed',
-        duration_ms: Date.now() - stage3Start,
-        error: error.message
-      };
-      pipelineResults.errors.push(`Upload failed: ${error.message}`);
-      throw error;
+      console.error(`❌ SMG schedule ${action} error:`, error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
     }
+  });
+});
+
+// DROP FOLDER WATCHER - Ingests report files saved to SMG_WATCH_FOLDER (see drop-folder-watcher.js)
+// Files run through the pipeline as source 'watch' with SMG_WATCH_UPLOAD_MODE / SMG_WATCH_RANGE_MODE.
+const SMG_WATCH_FOLDER = process.env.SMG_WATCH_FOLDER || null;
+const WATCH_UPLOAD_MODE = process.env.SMG_WATCH_UPLOAD_MODE || 'upsert';
+const WATCH_RANGE_MODE = process.env.SMG_WATCH_RANGE_MODE || 'reject';
+
+const dropFolderWatcher = SMG_WATCH_FOLDER ? createDropFolderWatcher({
+  folder: SMG_WATCH_FOLDER,
+  runPipeline: csvData => runSMGPipeline({
+    csvData,
+    uploadMode: WATCH_UPLOAD_MODE,
+    rangeMode: WATCH_RANGE_MODE,
+    source: 'watch'
+  }),
+  readReport: buffer => isXlsxBuffer(buffer) ? readXlsxReport(buffer) : buffer.toString('utf8'),
+  intervalMs: parseInt(process.env.SMG_WATCH_INTERVAL_MS || '30000', 10),
+  settleMs: parseInt(process.env.SMG_WATCH_SETTLE_MS || '10000', 10),
+  staleMs: parseInt(process.env.SMG_WATCH_STALE_MS || String(15 * 60 * 1000), 10),
+  retryMs: parseInt(process.env.SMG_WATCH_RETRY_HOURS || '24', 10) * 60 * 60 * 1000
+}) : null;
+
+function startDropFolderWatcher() {
+  if (!dropFolderWatcher) return;
+  
+  // The watcher moves files away, so the scheduler's drop_folder source would never see them
+  if (SMG_DROP_FOLDER && path.resolve(SMG_WATCH_FOLDER) === path.resolve(SMG_DROP_FOLDER)) {
+    console.error('❌ Drop folder watcher not started: SMG_WATCH_FOLDER and SMG_DROP_FOLDER must be different folders');
+    return;
+  }
+  
+  dropFolderWatcher.start();
+}
+
+function describeDropFolderWatcher() {
+  return {
+    enabled: Boolean(dropFolderWatcher),
+    ...(dropFolderWatcher ? dropFolderWatcher.describe() : { running: false, folder: null }),
+    upload_mode: WATCH_UPLOAD_MODE,
+    range_mode: WATCH_RANGE_MODE
+  };
+}
+
+app.get('/smg-watch', (req, res) => {
+  res.json({
+    success: true,
+    watcher: describeDropFolderWatcher(),
+    recent: dropFolderWatcher ? dropFolderWatcher.recent() : [],
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/smg-watch/scan', validateBody('empty_request'), async (req, res) => {
+  if (!dropFolderWatcher) {
+    return res.status(400).json({
+      error: 'Drop folder watcher is not configured - set SMG_WATCH_FOLDER',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const results = await dropFolderWatcher.scan();
     
-    // Pipeline completion
-    pipelineResults.status = 'completed';
-    pipelineResults.completed_at = new Date().toISOString();
-    pipelineResults.total_duration_ms = Date.now() - pipelineStart.getTime();
-    pipelineResults.records_processed = allTransformedData.length;
+    res.json({
+      success: true,
+      files_ingested: results.filter(result => result.status !== 'requeued').length,
+      results,
+      watcher: describeDropFolderWatcher(),
+      timestamp: new Date().toISOString()
+    });
     
-    console.log(`🎉 SMG Pipeline complete with sophisticated parsing and filtering: ${allTransformedData.length} records processed (${totalSkippedEntries} non-store entries filtered) in ${pipelineResults.total_duration_ms}ms`);
+  } catch (error) {
+    console.error('❌ SMG watch scan error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// API KEYS & AUDIT LOG - managing the keys checked by authenticateApiKey (admin only)
+// A new key is shown once in the create response; only its hash and prefix are stored
+const API_KEY_COLUMNS = 'id, name, role, key_prefix, created_by, created_at, last_used_at, revoked_at';
+
+app.get('/smg-api-keys', async (req, res) => {
+  try {
+    const { data: keys, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .order('created_at', { ascending: false });
+    
+    if (error) throw new Error(`API key lookup failed: ${error.message}`);
     
     res.json({
       success: true,
-      pipeline_results: pipelineResults,
-      transformation_method: 'sophisticated_smg_parsing_with_filtering',
+      auth_enabled: API_AUTH_ENABLED,
+      count: keys.length,
+      api_keys: keys,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error('❌ SMG pipeline error:', error);
+    console.error('❌ API keys error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/smg-api-keys', validateBody('api_key_request'), async (req, res) => {
+  try {
+    const apiKey = `smg_${crypto.randomBytes(24).toString('base64url')}`;
     
-    pipelineResults.status = 'failed';
-    pipelineResults.completed_at = new Date().toISOString();
-    pipelineResults.total_duration_ms = Date.now() - pipelineStart.getTime();
-    pipelineResults.final_error = error.message;
+    const { data: keys, error } = await supabase
+      .from('api_keys')
+      .insert({
+        name: req.body.name.trim(),
+        role: req.body.role,
+        key_hash: hashApiKey(apiKey),
+        key_prefix: apiKey.slice(0, 12),
+        created_by: req.apiKey ? req.apiKey.name : null,
+        created_at: new Date().toISOString()
+      })
+      .select(API_KEY_COLUMNS);
+    
+    if (error) throw new Error(`API key save failed: ${error.message}`);
+    
+    console.log(`🔑 API key "${keys[0].name}" (${keys[0].role}) created`);
+    res.status(201).json({
+      success: true,
+      api_key: apiKey,
+      key: keys[0],
+      message: 'Store this key now - it cannot be shown again',
+      timestamp: new Date().toISOString()
+    });
     
+  } catch (error) {
+    console.error('❌ API key create error:', error);
     res.status(500).json({
-      success: false,
-      pipeline_results: pipelineResults,
-      error: 'Pipeline execution failed',
+      error: 'Internal server error',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// MODULE 5: SMG Status - Monitoring and management
-app.get('/smg-status', async (req, res) => {
+app.delete('/smg-api-keys/:id', async (req, res) => {
   try {
-    console.log('📊 Checking SMG system status...');
-    const statusStart = Date.now();
+    const { data: keys, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .is('revoked_at', null)
+      .select(API_KEY_COLUMNS);
     
-    const systemStatus = {
-      overall_status: 'healthy',
-      timestamp: new Date().toISOString(),
-      uptime_seconds: process.uptime(),
-      system_checks: {},
-      database_health: {},
-      data_summary: {},
-      configuration: {},
-      performance_metrics: {}
-    };
+    if (error) throw new Error(`API key revoke failed: ${error.message}`);
     
-    // SYSTEM HEALTH CHECKS
-    console.log('🔍 Running system health checks...');
+    if (keys.length === 0) {
+      return res.status(404).json({
+        error: `Active API key not found: ${req.params.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    // Check environment variables
-    systemStatus.system_checks.environment_variables = {
-      status: 'healthy',
-      required_vars: requiredEnvVars.map(varName => ({
-        name: varName,
-        configured: !!process.env[varName]
-      })),
-      missing_vars: missingEnvVars
-    };
+    // Other replicas drop it from their cache within API_KEY_CACHE_TTL_MS
+    apiKeyCache.clear();
     
-    // Check memory usage
-    const memUsage = process.memoryUsage();
-    systemStatus.system_checks.memory = {
-      status: memUsage.heapUsed / memUsage.heapTotal < 0.9 ? 'healthy' : 'warning',
-      heap_used_mb: Math.round(memUsage.heapUsed / 1024 / 1024),
-      heap_total_mb: Math.round(memUsage.heapTotal / 1024 / 1024),
-      heap_usage_percent: Math.round((memUsage.heapUsed / memUsage.heapTotal) * 100)
-    };
+    console.log(`🔒 API key "${keys[0].name}" revoked`);
+    res.json({
+      success: true,
+      key: keys[0],
+      timestamp: new Date().toISOString()
+    });
     
-    // DATABASE HEALTH CHECKS
-    console.log('🗄️ Running database health checks...');
+  } catch (error) {
+    console.error('❌ API key revoke error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/smg-audit-log', async (req, res) => {
+  try {
+    const { key, path: routePath, from, to } = req.query;
+    const limit = parseInt(req.query.limit || '100', 10);
     
-    try {
-      // Test basic connectivity with simple queries (no aggregates)
-      const connectivityTest = Date.now();
-      const { data: healthTest, error: healthError } = await supabase
-        .from('stores')
-        .select('store_id')
-        .limit(1);
-      
-      const connectivityTime = Date.now() - connectivityTest;
-      
-      if (healthError) {
-        systemStatus.database_health.connectivity = {
-          status: 'failed',
-          error: healthError.message,
-          response_time_ms: connectivityTime
-        };
-        systemStatus.overall_status = 'degraded';
-      } else {
-        systemStatus.database_health.connectivity = {
-          status: 'healthy',
-          response_time_ms: connectivityTime
-        };
-      }
-      
-      // Check table accessibility
-      const tablesCheck = Date.now();
-      const tableResults = await Promise.allSettled([
-        supabase.from('stores').select('store_id').limit(1),
-        supabase.from('daily_cx_scores').select('store_id').limit(1),
-        supabase.from('calendar').select('date').limit(1)
-      ]);
-      
-      systemStatus.database_health.table_accessibility = {
-        status: tableResults.every(r => r.status === 'fulfilled') ? 'healthy' : 'warning',
-        response_time_ms: Date.now() - tablesCheck,
-        tables: {
-          stores: tableResults[0].status === 'fulfilled' ? 'accessible' : 'error',
-          daily_cx_scores: tableResults[1].status === 'fulfilled' ? 'accessible' : 'error',
-          calendar: tableResults[2].status === 'fulfilled' ? 'accessible' : 'error'
-        }
-      };
-      
-    } catch (dbError) {
-      systemStatus.database_health.connectivity = {
-        status: 'failed',
-        error: dbError.message
-      };
-      systemStatus.overall_status = 'degraded';
+    const validationErrors = [];
+    [['from', from], ['to', to]].forEach(([name, value]) => {
+      if (value && isNaN(Date.parse(value))) validationErrors.push(`${name} must be an ISO date or timestamp`);
+    });
+    if (isNaN(limit) || limit < 1 || limit > 1000) {
+      validationErrors.push('limit must be between 1 and 1000');
     }
     
-    // DATA SUMMARY (using simple queries)
-    console.log('📈 Gathering data summary...');
-    
-    try {
-      const summaryQueries = await Promise.allSettled([
-        supabase.from('stores').select('store_id').limit(100),
-        supabase.from('daily_cx_scores').select('date').order('date', { ascending: false }).limit(1),
-        supabase.from('daily_cx_scores').select('date').order('date', { ascending: true }).limit(1)
-      ]);
-      
-      systemStatus.data_summary = {
-        stores_count: summaryQueries[0].status === 'fulfilled' ? 
-          (summaryQueries[0].value.data?.length || 0) : 'unknown',
-        latest_date: summaryQueries[1].status === 'fulfilled' ? 
-          (summaryQueries[1].value.data?.[0]?.date || 'unknown') : 'unknown',
-        earliest_date: summaryQueries[2].status === 'fulfilled' ? 
-          (summaryQueries[2].value.data?.[0]?.date || 'unknown') : 'unknown'
-      };
-      
-      // Calculate data freshness
-      if (systemStatus.data_summary.latest_date !== 'unknown') {
-        const latestDate = new Date(systemStatus.data_summary.latest_date);
-        const today = new Date();
-        const daysDiff = Math.floor((today - latestDate) / (1000 * 60 * 60 * 24));
-        
-        systemStatus.data_summary.data_freshness = {
-          latest_data_age_days: daysDiff,
-          status: daysDiff <= 7 ? 'fresh' : daysDiff <= 30 ? 'stale' : 'very_stale'
-        };
-      }
-      
-    } catch (summaryError) {
-      systemStatus.data_summary.error = summaryError.message;
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        validation_errors: validationErrors,
+        timestamp: new Date().toISOString()
+      });
     }
     
-    // CONFIGURATION STATUS
-    systemStatus.configuration = {
-      node_version: process.version,
-      platform: process.platform,
-      port: PORT,
-      environment: process.env.NODE_ENV || 'production',
-      modules_available: [
-        { name: 'smg-daily-dates', method: 'GET', status: 'active' },
-        { name: 'smg-transform', method: 'POST', status: 'active', enhancement: 'DEBUG_VERSION_WITH_FILTERING' },
-        { name: 'smg-upload', method: 'POST', status: 'active' },
-        { name: 'smg-pipeline', method: 'POST', status: 'active', enhancement: 'DEBUG_VERSION_WITH_FILTERING' },
-        { name: 'smg-status', method: 'GET', status: 'active' }
-      ]
-    };
+    let query = supabase
+      .from('api_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
     
-    // PERFORMANCE METRICS
-    systemStatus.performance_metrics = {
-      status_check_duration_ms: Date.now() - statusStart,
-      uptime_formatted: formatUptime(process.uptime()),
-      memory_usage: systemStatus.system_checks.memory,
-      database_response_time_ms: systemStatus.database_health.connectivity?.response_time_ms || null
-    };
+    if (key) query = query.eq('api_key_name', key);
+    if (routePath) query = query.eq('path', routePath);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
     
-    // DETERMINE OVERALL STATUS
-    if (systemStatus.database_health.connectivity?.status === 'failed') {
-      systemStatus.overall_status = 'critical';
-    } else if (systemStatus.database_health.connectivity?.status === 'warning' || 
-               systemStatus.system_checks.memory.status === 'warning') {
-      systemStatus.overall_status = 'warning';
-    }
+    const { data: entries, error } = await query;
+    if (error) throw new Error(`Audit log lookup failed: ${error.message}`);
     
-    console.log(`✅ SMG status check complete: ${systemStatus.overall_status}`);
-    res.json(systemStatus);
+    res.json({
+      success: true,
+      filters: { key: key || null, path: routePath || null, from: from || null, to: to || null, limit },
+      count: entries.length,
+      entries: entries,
+      timestamp: new Date().toISOString()
+    });
     
   } catch (error) {
-    console.error('❌ SMG status check error:', error);
+    console.error('❌ Audit log error:', error);
     res.status(500).json({
-      overall_status: 'critical',
-      error: 'Status check failed',
+      error: 'Internal server error',
       message: error.message,
       timestamp: new Date().toISOString()
     });
@@ -1258,6 +5645,8 @@ app.listen(PORT, () => {
   console.log('Environment variables loaded:');
   console.log('- SUPABASE_URL:', process.env.SUPABASE_URL ? 'Set' : 'Missing');
   console.log('- SUPABASE_ANON_KEY:', process.env.SUPABASE_ANON_KEY ? 'Set' : 'Missing');
+  startScheduler();
+  startDropFolderWatcher();
 });
 
 module.exports = app;
\ No newline at end of file
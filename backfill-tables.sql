@@ -0,0 +1,61 @@
+-- Tables backing /smg-backfill
+-- One backfill_jobs row per request, one backfill_days row per date in its range (or per
+-- gap date for backfills started from /smg-gaps/backfill).
+-- Each day is processed as its own unit so a crashed backfill can resume from the
+-- first day that is not 'completed'.
+--
+-- locked_by / locked_until are a lease so that only one replica runs a backfill at a time.
+-- The runner renews it before every day; a 'running' job whose lease has expired was
+-- interrupted (crash or restart) and can be resumed by any replica.
+
+CREATE TABLE IF NOT EXISTS backfill_jobs (
+  backfill_id TEXT PRIMARY KEY,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  upload_mode TEXT NOT NULL DEFAULT 'upsert',
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | running | completed | completed_with_errors | failed
+  error TEXT,
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Existing installs: add the lease columns
+ALTER TABLE backfill_jobs ADD COLUMN IF NOT EXISTS locked_by TEXT;
+ALTER TABLE backfill_jobs ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS backfill_days (
+  backfill_id TEXT NOT NULL REFERENCES backfill_jobs (backfill_id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | running | completed | failed
+  pipeline_id TEXT,
+  records_processed INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (backfill_id, date)
+);
+
+-- Claim (or, for the replica already holding it, renew) a backfill's lease and mark it running.
+-- Returns true only for the replica that holds the lease afterwards; completed backfills are never claimed.
+CREATE OR REPLACE FUNCTION claim_backfill(p_backfill_id text, p_owner text, p_lease_ms integer)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  claimed_count integer;
+BEGIN
+  UPDATE backfill_jobs
+  SET locked_by = p_owner,
+      locked_until = now() + make_interval(secs => p_lease_ms / 1000.0),
+      status = 'running',
+      updated_at = now()
+  WHERE backfill_id = p_backfill_id
+    AND status <> 'completed'
+    AND (locked_until IS NULL OR locked_until < now() OR locked_by = p_owner);
+  GET DIAGNOSTICS claimed_count = ROW_COUNT;
+
+  RETURN claimed_count = 1;
+END;
+$$;
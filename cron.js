@@ -0,0 +1,149 @@
+// CRON - 5-field cron expressions for the scheduler, evaluated in a schedule's IANA timezone
+const { zonedDateParts } = require('./date-utils');
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day-of-week', min: 0, max: 7 }
+];
+const QUARTER_HOUR_MS = 15 * 60000;
+
+function cronError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CRON';
+  return error;
+}
+
+/**
+ * Parse a 5-field cron expression: minute hour day-of-month month day-of-week
+ * Supports *, lists, ranges and steps; day-of-week 0 and 7 are both Sunday
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError(`Invalid cron expression "${expression}" (expected 5 fields)`);
+  }
+  
+  const fields = parts.map((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    
+    part.split(',').forEach(item => {
+      const match = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) throw cronError(`Invalid cron ${name} field "${part}"`);
+      
+      const start = match[1] ? min : parseInt(match[2], 10);
+      const end = match[1] ? max : match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : start;
+      const step = match[4] ? parseInt(match[4], 10) : 1;
+      if (start < min || end > max || start > end || step < 1) {
+        throw cronError(`Cron ${name} field "${part}" is outside ${min}-${max}`);
+      }
+      
+      for (let value = start; value <= end; value += step) {
+        values.add(index === 4 ? value % 7 : value);
+      }
+    });
+    
+    return values;
+  });
+  
+  return {
+    minute: fields[0],
+    hour: fields[1],
+    dayOfMonth: fields[2],
+    month: fields[3],
+    dayOfWeek: fields[4],
+    // Standard cron: when both day fields are restricted, a match on either one fires
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*')
+  };
+}
+
+function cronDayMatches(cron, parts) {
+  if (!cron.month.has(parts.month)) return false;
+  
+  const dayOfMonthMatch = cron.dayOfMonth.has(parts.day);
+  const dayOfWeekMatch = cron.dayOfWeek.has(parts.weekday);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonthMatch || dayOfWeekMatch;
+  return dayOfMonthMatch && dayOfWeekMatch;
+}
+
+function cronMatches(cron, parts) {
+  return cronDayMatches(cron, parts) && cron.hour.has(parts.hour) && cron.minute.has(parts.minute);
+}
+
+/**
+ * Wall-clock time of zonedDateParts as minutes since 1970-01-01 00:00 (no timezone)
+ */
+function wallClockMinutes(parts) {
+  const [year, month, day] = parts.date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, parts.hour, parts.minute) / 60000;
+}
+
+/**
+ * zonedDateParts-shaped wall-clock time for minutes since 1970-01-01 00:00
+ */
+function wallClockParts(minutes) {
+  const moment = new Date(minutes * 60000);
+  return {
+    date: moment.toISOString().split('T')[0],
+    month: moment.getUTCMonth() + 1,
+    day: moment.getUTCDate(),
+    hour: moment.getUTCHours(),
+    minute: moment.getUTCMinutes(),
+    weekday: moment.getUTCDay()
+  };
+}
+
+/**
+ * Whether the cron fires at a minute (a Date on a minute boundary) in timeZone
+ * Around DST changes jobs with specific hours behave like standard cron: a time skipped when
+ * clocks go forward fires at the first minute after the jump, and a time repeated when clocks
+ * go back fires only the first time. Jobs that run every hour follow the wall clock.
+ */
+function cronFiresAt(cron, timeZone, date, parts = zonedDateParts(date, timeZone)) {
+  const fixedHours = cron.hour.size < 24;
+  const wallClock = wallClockMinutes(parts);
+  
+  if (cronMatches(cron, parts)) {
+    if (!fixedHours) return true;
+    // Offsets change by 30 or 60 minutes; the same wall clock that long ago means the hour is repeating
+    return ![30, 60].some(minutes => wallClockMinutes(zonedDateParts(new Date(date.getTime() - minutes * 60000), timeZone)) === wallClock);
+  }
+  
+  // Offsets only change on quarter-hour boundaries, so only those minutes can follow a jump
+  // (and the minutes a jump skips are on the day it lands on)
+  if (!fixedHours || date.getTime() % QUARTER_HOUR_MS !== 0 || !cronDayMatches(cron, parts)) return false;
+  
+  const previous = wallClockMinutes(zonedDateParts(new Date(date.getTime() - 60000), timeZone));
+  for (let skipped = previous + 1; skipped < wallClock; skipped++) {
+    if (cronMatches(cron, wallClockParts(skipped))) return true;
+  }
+  return false;
+}
+
+/**
+ * Next minute after `from` that the cron fires in timeZone (searches up to a year ahead)
+ * Returns null when nothing matches within the year (e.g. "0 0 31 2 *")
+ */
+function nextCronRun(cron, timeZone, from = new Date()) {
+  let candidate = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+  const limit = candidate + 366 * 24 * 60 * 60000;
+  
+  while (candidate < limit) {
+    const parts = zonedDateParts(new Date(candidate), timeZone);
+    if (cronFiresAt(cron, timeZone, new Date(candidate), parts)) return new Date(candidate);
+    
+    // Timezone offsets are whole quarter hours, so a non-matching day or hour can be skipped
+    // to the next quarter-hour boundary without missing a minute
+    candidate = cronDayMatches(cron, parts) && cron.hour.has(parts.hour)
+      ? candidate + 60000
+      : Math.floor(candidate / QUARTER_HOUR_MS) * QUARTER_HOUR_MS + QUARTER_HOUR_MS;
+  }
+  
+  return null;
+}
+
+module.exports = { parseCron, cronFiresAt, nextCronRun };
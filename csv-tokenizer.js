@@ -0,0 +1,140 @@
+// CSV TOKENIZER - RFC 4180 reader for SMG exports, streaming (createCSVTokenizer) or whole-string (parseCSV)
+// Malformed input throws CSV_PARSE_ERROR with the 1-based row and column where parsing stopped.
+
+/**
+ * Build an error for malformed CSV input, carrying the row/column where parsing stopped
+ */
+function csvParseError(message, row, column) {
+  const error = new Error(`Malformed CSV at row ${row}, column ${column}: ${message}`);
+  error.code = 'CSV_PARSE_ERROR';
+  error.row = row;
+  error.column = column;
+  return error;
+}
+
+/**
+ * Streaming RFC 4180 CSV tokenizer
+ * Feed chunks with write() and call end() once input is exhausted; onRecord(fields, row)
+ * fires for every complete record. Handles quoted fields, "" escapes, embedded newlines,
+ * a leading BOM and CRLF/CR/LF line endings. Blank lines are ignored.
+ * Rows and columns in errors are 1-based (row = physical line, column = field number).
+ */
+function createCSVTokenizer(onRecord) {
+  let state = 'field_start'; // field_start | unquoted | quoted | quote_in_quoted
+  let field = '';
+  let record = [];
+  let line = 1;
+  let recordLine = 1;
+  let pendingCR = false;
+  let firstChunk = true;
+
+  function endField() {
+    record.push(field);
+    field = '';
+    state = 'field_start';
+  }
+
+  function endRecord() {
+    const quotedBlank = state === 'quote_in_quoted';
+    endField();
+    if (record.length > 1 || record[0] !== '' || quotedBlank) {
+      onRecord(record, recordLine);
+    }
+    record = [];
+    line++;
+    recordLine = line;
+  }
+
+  function write(chunk) {
+    let text = String(chunk);
+    if (firstChunk) {
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+      if (text.length > 0) firstChunk = false;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+
+      if (pendingCR) {
+        pendingCR = false;
+        if (c === '\n') continue;
+      }
+
+      switch (state) {
+        case 'field_start':
+          if (c === '"') {
+            state = 'quoted';
+          } else if (c === ',') {
+            endField();
+          } else if (c === '\r' || c === '\n') {
+            endRecord();
+            pendingCR = c === '\r';
+          } else {
+            field += c;
+            state = 'unquoted';
+          }
+          break;
+
+        case 'unquoted':
+          if (c === ',') {
+            endField();
+          } else if (c === '\r' || c === '\n') {
+            endRecord();
+            pendingCR = c === '\r';
+          } else if (c === '"') {
+            throw csvParseError('unexpected quote in unquoted field', line, record.length + 1);
+          } else {
+            field += c;
+          }
+          break;
+
+        case 'quoted':
+          if (c === '"') {
+            state = 'quote_in_quoted';
+          } else {
+            if (c === '\n') line++;
+            field += c;
+          }
+          break;
+
+        case 'quote_in_quoted':
+          if (c === '"') {
+            field += '"';
+            state = 'quoted';
+          } else if (c === ',') {
+            endField();
+          } else if (c === '\r' || c === '\n') {
+            endRecord();
+            pendingCR = c === '\r';
+          } else {
+            throw csvParseError(`unexpected character '${c}' after closing quote`, line, record.length + 1);
+          }
+          break;
+      }
+    }
+  }
+
+  function end() {
+    if (state === 'quoted') {
+      throw csvParseError('unterminated quoted field', recordLine, record.length + 1);
+    }
+    if (state !== 'field_start' || record.length > 0) {
+      endRecord();
+    }
+  }
+
+  return { write, end };
+}
+
+/**
+ * Parse a complete CSV string into an array of records (arrays of field strings)
+ */
+function parseCSV(content) {
+  const records = [];
+  const tokenizer = createCSVTokenizer(fields => records.push(fields));
+  tokenizer.write(content);
+  tokenizer.end();
+  return records;
+}
+
+module.exports = { createCSVTokenizer, parseCSV };
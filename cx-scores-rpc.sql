@@ -0,0 +1,126 @@
+-- Transactional load functions for daily_cx_scores and period_cx_scores
+-- Called through supabase.rpc() by /smg-upload and /smg-pipeline. Each function body runs
+-- in a single transaction: if the insert fails, the delete is rolled back and the previous
+-- data stays in place.
+--
+-- p_rows is a JSON array of score rows in the same shape the API uploads. Value columns may be
+-- NULL for cells SMG suppressed (**) or left empty; suppressed defaults to FALSE when omitted.
+-- replace_* deletes every existing row for the (store, day) or (store, period) pairs present
+-- in p_rows, then inserts p_rows. upsert_* inserts new rows and updates changed ones.
+-- All functions return counts as JSON: { deleted, inserted } or { inserted, updated, unchanged }.
+
+CREATE OR REPLACE FUNCTION replace_daily_cx_scores(p_rows jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  deleted_count integer;
+  inserted_count integer;
+BEGIN
+  DELETE FROM daily_cx_scores t
+  USING (
+    SELECT DISTINCT r.store_id, r.date
+    FROM jsonb_populate_recordset(NULL::daily_cx_scores, p_rows) r
+  ) k
+  WHERE t.store_id = k.store_id AND t.date = k.date;
+  GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+  INSERT INTO daily_cx_scores (store_id, date, question, score, response_count, response_percent, total_responses, suppressed)
+  SELECT store_id, date, question, score, response_count, response_percent, total_responses, COALESCE(suppressed, FALSE)
+  FROM jsonb_populate_recordset(NULL::daily_cx_scores, p_rows);
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+
+  RETURN jsonb_build_object('deleted', deleted_count, 'inserted', inserted_count);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION upsert_daily_cx_scores(p_rows jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  inserted_count integer;
+  updated_count integer;
+BEGIN
+  WITH upserted AS (
+    INSERT INTO daily_cx_scores AS t (store_id, date, question, score, response_count, response_percent, total_responses, suppressed)
+    SELECT store_id, date, question, score, response_count, response_percent, total_responses, COALESCE(suppressed, FALSE)
+    FROM jsonb_populate_recordset(NULL::daily_cx_scores, p_rows)
+    ON CONFLICT (store_id, date, question, score) DO UPDATE
+      SET response_count = EXCLUDED.response_count,
+          response_percent = EXCLUDED.response_percent,
+          total_responses = EXCLUDED.total_responses,
+          suppressed = EXCLUDED.suppressed
+      WHERE (t.response_count, t.response_percent, t.total_responses, t.suppressed)
+        IS DISTINCT FROM (EXCLUDED.response_count, EXCLUDED.response_percent, EXCLUDED.total_responses, EXCLUDED.suppressed)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT count(*) FILTER (WHERE was_inserted), count(*) FILTER (WHERE NOT was_inserted)
+  INTO inserted_count, updated_count
+  FROM upserted;
+
+  RETURN jsonb_build_object(
+    'inserted', inserted_count,
+    'updated', updated_count,
+    'unchanged', jsonb_array_length(p_rows) - inserted_count - updated_count
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION replace_period_cx_scores(p_rows jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  deleted_count integer;
+  inserted_count integer;
+BEGIN
+  DELETE FROM period_cx_scores t
+  USING (
+    SELECT DISTINCT r.store_id, r.start_date, r.end_date
+    FROM jsonb_populate_recordset(NULL::period_cx_scores, p_rows) r
+  ) k
+  WHERE t.store_id = k.store_id AND t.start_date = k.start_date AND t.end_date = k.end_date;
+  GET DIAGNOSTICS deleted_count = ROW_COUNT;
+
+  INSERT INTO period_cx_scores (store_id, start_date, end_date, question, score, response_count, response_percent, total_responses, suppressed)
+  SELECT store_id, start_date, end_date, question, score, response_count, response_percent, total_responses, COALESCE(suppressed, FALSE)
+  FROM jsonb_populate_recordset(NULL::period_cx_scores, p_rows);
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+
+  RETURN jsonb_build_object('deleted', deleted_count, 'inserted', inserted_count);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION upsert_period_cx_scores(p_rows jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  inserted_count integer;
+  updated_count integer;
+BEGIN
+  WITH upserted AS (
+    INSERT INTO period_cx_scores AS t (store_id, start_date, end_date, question, score, response_count, response_percent, total_responses, suppressed)
+    SELECT store_id, start_date, end_date, question, score, response_count, response_percent, total_responses, COALESCE(suppressed, FALSE)
+    FROM jsonb_populate_recordset(NULL::period_cx_scores, p_rows)
+    ON CONFLICT (store_id, start_date, end_date, question, score) DO UPDATE
+      SET response_count = EXCLUDED.response_count,
+          response_percent = EXCLUDED.response_percent,
+          total_responses = EXCLUDED.total_responses,
+          suppressed = EXCLUDED.suppressed
+      WHERE (t.response_count, t.response_percent, t.total_responses, t.suppressed)
+        IS DISTINCT FROM (EXCLUDED.response_count, EXCLUDED.response_percent, EXCLUDED.total_responses, EXCLUDED.suppressed)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT count(*) FILTER (WHERE was_inserted), count(*) FILTER (WHERE NOT was_inserted)
+  INTO inserted_count, updated_count
+  FROM upserted;
+
+  RETURN jsonb_build_object(
+    'inserted', inserted_count,
+    'updated', updated_count,
+    'unchanged', jsonb_array_length(p_rows) - inserted_count - updated_count
+  );
+END;
+$$;
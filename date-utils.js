@@ -0,0 +1,55 @@
+// DATE UTILS - YYYY-MM-DD date helpers and wall-clock dates in IANA timezones, shared by the date-window
+// service, the scheduler and request validation
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const zonedFormatters = new Map();
+
+/**
+ * Wall-clock date, time and weekday of a moment in an IANA timezone
+ * Throws a RangeError for unknown timezones
+ */
+function zonedDateParts(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  
+  const parts = Object.fromEntries(
+    zonedFormatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * YYYY-MM-DD date moved by a number of days
+ */
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * True for a real calendar date in YYYY-MM-DD form (rejects 2025-02-30)
+ */
+function isValidISODate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+    !isNaN(Date.parse(`${date}T00:00:00Z`)) &&
+    shiftDate(date, 0) === date;
+}
+
+module.exports = { zonedDateParts, shiftDate, isValidISODate };
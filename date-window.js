@@ -0,0 +1,122 @@
+// DATE WINDOW - Which dates a load covers, counting back from a reference date (default: today in the store timezone)
+// The calendar and daily_cx_scores lookups are passed in, so the strategies run against any data source.
+const { zonedDateParts, shiftDate, isValidISODate } = require('./date-utils');
+
+const DATE_WINDOW_STRATEGIES = ['calendar_days', 'business_days', 'skip_holidays', 'missing_scores'];
+const DATE_WINDOW_MAX_DAYS = 366;
+const DATE_WINDOW_DEFAULT_LOOKBACK = 30;
+
+function dateWindowError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_DATE_WINDOW';
+  return error;
+}
+
+/**
+ * Create calculateDateWindow for one data source
+ * fetchCalendarDays(fromDate, toDate) returns a Map of date → { is_weekend, is_holiday } calendar rows;
+ * datesWithScores(dates) returns the Set of those dates that already have daily_cx_scores rows.
+ */
+function createDateWindowCalculator({ fetchCalendarDays, datesWithScores, defaultTimezone = 'America/Chicago', now = () => new Date() }) {
+  /**
+   * Dates to load, newest first, counting back from referenceDate (default: today in timezone)
+   * Strategies:
+   *   calendar_days  - every day
+   *   business_days  - skips calendar weekends and holidays
+   *   skip_holidays  - every day except calendar holidays
+   *   missing_scores - days in the last `lookback` days with no daily_cx_scores rows
+   * Dates absent from the calendar table fall back to weekday-based weekends with no holidays (listed in warnings)
+   */
+  async function calculateDateWindow({ count = 3, referenceDate, timezone = defaultTimezone, strategy = 'calendar_days', lookback = DATE_WINDOW_DEFAULT_LOOKBACK } = {}) {
+    const windowCount = Number(count);
+    const lookbackDays = Number(lookback);
+    
+    if (!Number.isInteger(windowCount) || windowCount < 1 || windowCount > DATE_WINDOW_MAX_DAYS) {
+      throw dateWindowError(`count must be an integer between 1 and ${DATE_WINDOW_MAX_DAYS}`);
+    }
+    if (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > DATE_WINDOW_MAX_DAYS) {
+      throw dateWindowError(`lookback must be an integer between 1 and ${DATE_WINDOW_MAX_DAYS}`);
+    }
+    if (!DATE_WINDOW_STRATEGIES.includes(strategy)) {
+      throw dateWindowError(`Invalid strategy: ${strategy} (expected one of ${DATE_WINDOW_STRATEGIES.join(', ')})`);
+    }
+    
+    let today;
+    try {
+      today = zonedDateParts(now(), timezone).date;
+    } catch (error) {
+      throw dateWindowError(`Invalid timezone: ${timezone}`);
+    }
+    
+    const reference = referenceDate ? String(referenceDate) : today;
+    if (!isValidISODate(reference)) {
+      throw dateWindowError(`Invalid referenceDate: ${reference} (expected YYYY-MM-DD)`);
+    }
+    
+    const result = {
+      dates: [],
+      count: 0,
+      strategy: strategy,
+      reference_date: reference,
+      timezone: timezone,
+      calculation_method: `${windowCount}_${strategy}`,
+      skipped: [],
+      warnings: []
+    };
+    
+    if (strategy === 'calendar_days') {
+      for (let i = 0; i < windowCount; i++) {
+        result.dates.push(shiftDate(reference, -i));
+      }
+    } else if (strategy === 'missing_scores') {
+      const candidates = Array.from({ length: lookbackDays }, (_, i) => shiftDate(reference, -i));
+      const loadedDates = await datesWithScores(candidates);
+      
+      for (const date of candidates) {
+        if (result.dates.length === windowCount) break;
+        if (loadedDates.has(date)) {
+          result.skipped.push({ date, reason: 'has_scores' });
+        } else {
+          result.dates.push(date);
+        }
+      }
+    } else {
+      // Look far enough back to get past long weekends and holiday runs
+      const searchDays = Math.min(windowCount * 2 + 14, DATE_WINDOW_MAX_DAYS * 2);
+      const calendar = await fetchCalendarDays(shiftDate(reference, -(searchDays - 1)), reference);
+      const notInCalendar = [];
+      
+      for (let i = 0; i < searchDays && result.dates.length < windowCount; i++) {
+        const date = shiftDate(reference, -i);
+        const day = calendar.get(date);
+        if (!day) notInCalendar.push(date);
+        
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        const isWeekend = day ? day.is_weekend : weekday === 0 || weekday === 6;
+        const isHoliday = day ? day.is_holiday : false;
+        
+        if (isHoliday) {
+          result.skipped.push({ date, reason: 'holiday' });
+        } else if (strategy === 'business_days' && isWeekend) {
+          result.skipped.push({ date, reason: 'weekend' });
+        } else {
+          result.dates.push(date);
+        }
+      }
+      
+      if (notInCalendar.length > 0) {
+        result.warnings.push(`Not in calendar table (holidays unknown): ${notInCalendar.join(', ')}`);
+      }
+      if (result.dates.length < windowCount) {
+        result.warnings.push(`Only ${result.dates.length} of ${windowCount} dates found in the last ${searchDays} days`);
+      }
+    }
+    
+    result.count = result.dates.length;
+    return result;
+  }
+  
+  return calculateDateWindow;
+}
+
+module.exports = { createDateWindowCalculator, DATE_WINDOW_STRATEGIES, DATE_WINDOW_MAX_DAYS };
@@ -0,0 +1,288 @@
+// DROP FOLDER WATCHER - Ingests report files saved to a folder (e.g. an emailed export saved to a share)
+// Each new .csv/.xlsx (optionally .gz) file runs through runPipeline and is moved to processed/ or failed/
+// with a <file>.result.json sidecar. A file is first renamed into processing/, so with several replicas
+// watching the same share only one picks it up. Content already in processed/ (by SHA-256) is not loaded
+// again - the hashes are read back from the processed/ sidecars at startup.
+// The folder, pipeline runner and report reader are passed in, so the watcher runs against any local folder.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const WATCH_FILE_PATTERN = /\.(csv|xlsx)(\.gz)?$/i;
+const WATCH_SUBFOLDERS = ['processing', 'processed', 'failed'];
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Create a watcher for one folder
+ * runPipeline(csvData) returns runSMGPipeline's results; readReport(buffer) turns a (gunzipped) file
+ * into report text. A file still in processing/ staleMs after it was claimed was abandoned by a crash
+ * or restart: it goes back to the folder to be retried, or to failed/ once it was dropped more than
+ * retryMs ago, so a file that keeps killing the process is not retried forever.
+ */
+function createDropFolderWatcher({
+  folder,
+  runPipeline,
+  readReport = buffer => buffer.toString('utf8'),
+  intervalMs = 30000,
+  settleMs = 10000,
+  staleMs = 15 * 60 * 1000,
+  retryMs = 24 * 60 * 60 * 1000,
+  recentLimit = 50
+}) {
+  const state = {
+    running: false,
+    timer: null,
+    scanning: null,
+    ingestedHashes: null,
+    lastScanAt: null,
+    lastError: null,
+    recent: []
+  };
+  
+  function watchPath(...parts) {
+    return path.join(folder, ...parts);
+  }
+  
+  /**
+   * Create the subfolders and load the content hashes already ingested
+   */
+  async function prepareFolder() {
+    for (const subfolder of WATCH_SUBFOLDERS) {
+      await fs.promises.mkdir(watchPath(subfolder), { recursive: true });
+    }
+    if (state.ingestedHashes) return;
+    
+    const hashes = new Map();
+    const sidecars = (await fs.promises.readdir(watchPath('processed'))).filter(name => name.endsWith('.result.json'));
+    for (const sidecar of sidecars) {
+      try {
+        const result = JSON.parse(await fs.promises.readFile(watchPath('processed', sidecar), 'utf8'));
+        if (result.content_sha256 && result.status === 'completed') hashes.set(result.content_sha256, result.file);
+      } catch (error) {
+        console.warn(`⚠️ Unreadable drop folder sidecar ${sidecar}: ${error.message}`);
+      }
+    }
+    state.ingestedHashes = hashes;
+    console.log(`📂 Drop folder watcher knows ${hashes.size} previously ingested file(s)`);
+  }
+  
+  /**
+   * A name not already taken in subfolder ('' for the watch folder itself) - the content hash is added when it is
+   */
+  async function unusedName(subfolder, fileName, hash) {
+    try {
+      await fs.promises.access(watchPath(subfolder, fileName));
+    } catch (error) {
+      return fileName;
+    }
+    const [, base, extension] = fileName.match(/^(.*?)((?:\.[^.]+)?(?:\.gz)?)$/i);
+    return `${base}-${hash.slice(0, 12)}${extension}`;
+  }
+  
+  function remember(result) {
+    state.recent.unshift(result);
+    state.recent.length = Math.min(state.recent.length, recentLimit);
+  }
+  
+  /**
+   * Read a dropped file as report text (gunzipped, and converted by readReport)
+   */
+  async function readDroppedReport(buffer, fileName) {
+    const data = /\.gz$/i.test(fileName) ? await gunzip(buffer) : buffer;
+    return readReport(data);
+  }
+  
+  /**
+   * Ingest one claimed file from processing/ and move it to processed/ or failed/ with its sidecar
+   */
+  async function ingestFile(fileName) {
+    const started = new Date();
+    const buffer = await fs.promises.readFile(watchPath('processing', fileName));
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    let result = {
+      file: fileName,
+      content_sha256: hash,
+      size_bytes: buffer.length,
+      started_at: started.toISOString()
+    };
+    
+    const duplicateOf = state.ingestedHashes.get(hash);
+    if (duplicateOf) {
+      console.log(`⏭️ ${fileName} has the same content as already ingested ${duplicateOf} - skipped`);
+      result = { ...result, status: 'duplicate', duplicate_of: duplicateOf };
+    } else {
+      try {
+        const csvData = await readDroppedReport(buffer, fileName);
+        const pipelineResults = await runPipeline(csvData);
+        
+        result = {
+          ...result,
+          status: pipelineResults.status,
+          pipeline_id: pipelineResults.pipeline_id,
+          dates: pipelineResults.stages.date_calculation.dates_to_process || [],
+          records_processed: pipelineResults.records_processed,
+          warnings: pipelineResults.warnings,
+          error: pipelineResults.final_error || null
+        };
+      } catch (error) {
+        result = { ...result, status: 'failed', pipeline_id: null, records_processed: 0, error: error.message };
+      }
+    }
+    
+    const target = result.status === 'failed' ? 'failed' : 'processed';
+    const targetName = await unusedName(target, fileName, hash);
+    result = { ...result, moved_to: path.join(target, targetName), finished_at: new Date().toISOString() };
+    
+    await fs.promises.rename(watchPath('processing', fileName), watchPath(target, targetName));
+    await fs.promises.writeFile(watchPath(target, `${targetName}.result.json`), JSON.stringify(result, null, 2));
+    if (result.status === 'completed') state.ingestedHashes.set(hash, targetName);
+    
+    console.log(`${target === 'processed' ? '✅' : '❌'} Drop folder: ${fileName} ${result.status} → ${result.moved_to}`);
+    remember(result);
+    return result;
+  }
+  
+  /**
+   * Move files abandoned in processing/ back to the folder, or to failed/ once they are past retryMs
+   * The claim time is the entry's ctime (set by the rename into processing/); its mtime is still the
+   * time the file was dropped. Claims younger than staleMs may be another replica's and are left alone.
+   */
+  async function recoverAbandonedFiles() {
+    const recovered = [];
+    const names = await fs.promises.readdir(watchPath('processing'));
+    
+    for (const fileName of names) {
+      try {
+        const stats = await fs.promises.stat(watchPath('processing', fileName));
+        if (!stats.isFile() || Date.now() - stats.ctimeMs < staleMs) continue;
+        
+        if (Date.now() - stats.mtimeMs < retryMs) {
+          const retryName = await unusedName('', fileName, `${process.pid}${Date.now()}`);
+          await fs.promises.rename(watchPath('processing', fileName), watchPath(retryName));
+          console.warn(`⚠️ Drop folder: ${fileName} was left in processing/ - moved back to be retried`);
+          recovered.push({ file: fileName, status: 'requeued', moved_to: retryName });
+          continue;
+        }
+        
+        const targetName = await unusedName('failed', fileName, `${process.pid}${Date.now()}`);
+        const result = {
+          file: fileName,
+          status: 'failed',
+          pipeline_id: null,
+          records_processed: 0,
+          error: 'Ingest was interrupted and the file is past its retry window - move it back to the watch folder to retry',
+          moved_to: path.join('failed', targetName),
+          finished_at: new Date().toISOString()
+        };
+        await fs.promises.rename(watchPath('processing', fileName), watchPath('failed', targetName));
+        await fs.promises.writeFile(watchPath('failed', `${targetName}.result.json`), JSON.stringify(result, null, 2));
+        console.error(`❌ Drop folder: ${fileName} was left in processing/ past its retry window → ${result.moved_to}`);
+        remember(result);
+        recovered.push(result);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return recovered;
+  }
+  
+  /**
+   * One pass over the folder: recover abandoned claims, then claim and ingest every report file
+   * that has stopped changing. Files modified within settleMs may still be being written and wait
+   * for the next pass.
+   */
+  async function scanFolder() {
+    await prepareFolder();
+    const results = await recoverAbandonedFiles();
+    const entries = await fs.promises.readdir(folder, { withFileTypes: true });
+    
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.') || entry.name.startsWith('~$')) continue;
+      if (!WATCH_FILE_PATTERN.test(entry.name)) continue;
+      
+      try {
+        const stats = await fs.promises.stat(watchPath(entry.name));
+        if (Date.now() - stats.mtimeMs < settleMs) continue;
+        
+        // Claim the file - another replica that renamed it first wins
+        const claimedName = await unusedName('processing', entry.name, `${process.pid}${Date.now()}`);
+        await fs.promises.rename(watchPath(entry.name), watchPath('processing', claimedName));
+        results.push(await ingestFile(claimedName));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        console.error(`❌ Drop folder could not ingest ${entry.name}:`, error.message);
+        results.push({ file: entry.name, status: 'failed', error: error.message });
+      }
+    }
+    
+    state.lastScanAt = new Date().toISOString();
+    return results;
+  }
+  
+  /**
+   * Run a scan unless one is already in progress (then wait for that one)
+   */
+  function scan() {
+    if (!state.scanning) {
+      state.scanning = scanFolder()
+        .then(results => {
+          state.lastError = null;
+          return results;
+        })
+        .catch(error => {
+          // Log once per distinct error rather than every pass
+          if (error.message !== state.lastError) console.error('❌ Drop folder watcher:', error.message);
+          state.lastError = error.message;
+          throw error;
+        })
+        .finally(() => {
+          state.scanning = null;
+        });
+    }
+    return state.scanning;
+  }
+  
+  function start() {
+    if (state.running) return;
+    
+    const scheduleNextScan = () => {
+      if (!state.running) return;
+      state.timer = setTimeout(() => {
+        scan().catch(() => {}).finally(scheduleNextScan);
+      }, intervalMs);
+      state.timer.unref();
+    };
+    
+    state.running = true;
+    console.log(`📂 Watching ${folder} for SMG reports every ${intervalMs}ms`);
+    scan().catch(() => {}).finally(scheduleNextScan);
+  }
+  
+  function stop() {
+    state.running = false;
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  
+  function describe() {
+    return {
+      running: state.running,
+      folder,
+      interval_ms: intervalMs,
+      settle_ms: settleMs,
+      stale_ms: staleMs,
+      retry_ms: retryMs,
+      scanning: Boolean(state.scanning),
+      ingested_files_known: state.ingestedHashes ? state.ingestedHashes.size : null,
+      last_scan_at: state.lastScanAt,
+      last_error: state.lastError
+    };
+  }
+  
+  return { scan, start, stop, describe, recent: () => state.recent };
+}
+
+module.exports = { createDropFolderWatcher };
@@ -0,0 +1,63 @@
+// Local stand-in for the SMG portal so /smg-download can be exercised offline
+// Usage: node fixtures/stub-portal.js, then run the API with
+//   SMG_PORTAL_URL=http://localhost:8090/ SMG_USERNAME=stub SMG_PASSWORD=stub
+// Tests require it and call createStubPortal().listen(0) for an ephemeral port.
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.STUB_PORTAL_PORT || 8090;
+const FIXTURES_DIR = path.join(__dirname, 'smg-portal');
+
+function isSignedIn(req) {
+  return (req.headers.cookie || '').split(';').some(c => c.trim() === 'smg_session=stub');
+}
+
+function createStubPortal({
+  username = process.env.STUB_PORTAL_USERNAME || 'stub',
+  password = process.env.STUB_PORTAL_PASSWORD || 'stub'
+} = {}) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(FIXTURES_DIR, 'login.html'));
+  });
+  
+  app.post('/login', (req, res) => {
+    if (req.body.username !== username || req.body.password !== password) {
+      return res.status(401).send('Invalid credentials');
+    }
+    res.setHeader('Set-Cookie', 'smg_session=stub; Path=/; HttpOnly');
+    res.redirect('/reports/full-scale');
+  });
+  
+  app.get('/reports/full-scale', (req, res) => {
+    if (!isSignedIn(req)) return res.redirect('/');
+    res.sendFile(path.join(FIXTURES_DIR, 'full-scale.html'));
+  });
+  
+  app.get('/export', (req, res) => {
+    if (!isSignedIn(req)) return res.status(401).send('Not signed in');
+    
+    const { start, end } = req.query;
+    if (!start || !end) return res.status(400).send('start and end are required');
+    
+    const template = fs.readFileSync(path.join(FIXTURES_DIR, 'full-scale-report.csv'), 'utf8');
+    const csv = template.replace('{{START_DATE}}', start).replace('{{END_DATE}}', end);
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="Full Scale Report.csv"');
+    res.send(csv);
+  });
+  
+  return app;
+}
+
+if (require.main === module) {
+  createStubPortal().listen(PORT, () => {
+    console.log(`🧪 Stub SMG portal running on http://localhost:${PORT}/`);
+  });
+}
+
+module.exports = { createStubPortal };
@@ -0,0 +1,47 @@
+-- Duplicate protection for report loads
+--
+-- ingested_reports: one row per report a pipeline run loaded (dry runs and runs that mapped no rows
+-- are not recorded). fingerprint is the SHA-256 of the report's date range plus its content with BOM,
+-- line endings and trailing whitespace normalized. A later run given the same report skips it, and
+-- /smg-pipeline answers with the stored result of the original run, unless force is set.
+--
+-- idempotency_keys: responses of POST requests sent with an Idempotency-Key header, per API key and
+-- endpoint - api_key_scope is the api_keys id ('API_ADMIN_KEY' for the bootstrap key, '' with
+-- authentication off). /smg-api-keys responses are never stored.
+-- response_status is NULL while the first request is still running; a NULL row older than
+-- IDEMPOTENCY_LEASE_MS was abandoned and is taken over by the next retry. Rows past expires_at
+-- (IDEMPOTENCY_KEY_TTL_HOURS) are reused; delete them whenever convenient.
+
+CREATE TABLE IF NOT EXISTS ingested_reports (
+  fingerprint TEXT PRIMARY KEY,
+  report_date DATE NOT NULL,                   -- the date the report was loaded for
+  start_date DATE NOT NULL,                    -- title line range (report_date when the title has none)
+  end_date DATE NOT NULL,
+  pipeline_id TEXT NOT NULL,
+  upload_mode TEXT NOT NULL,
+  run_records_processed INTEGER NOT NULL DEFAULT 0,
+  ingested_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  result JSONB                                 -- pipeline_results of the original run
+);
+
+CREATE INDEX IF NOT EXISTS ingested_reports_report_date_idx ON ingested_reports (report_date);
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  api_key_scope TEXT NOT NULL DEFAULT '',
+  idempotency_key TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  request_hash TEXT,                           -- SHA-256 of the JSON body (or of the buffered /smg-pipeline upload)
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (api_key_scope, idempotency_key, endpoint)
+);
+
+-- Tables created before keys were scoped by API key
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS api_key_scope TEXT NOT NULL DEFAULT '';
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_pkey;
+ALTER TABLE idempotency_keys ADD PRIMARY KEY (api_key_scope, idempotency_key, endpoint);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
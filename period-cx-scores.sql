@@ -0,0 +1,19 @@
+-- Period-level CX scores for multi-day Full Scale Reports (weekly/monthly exports)
+-- Loaded by /smg-transform, /smg-upload and /smg-pipeline when rangeMode is 'period'.
+-- Same shape as daily_cx_scores with the report's date range in place of a single date.
+
+CREATE TABLE IF NOT EXISTS period_cx_scores (
+  store_id UUID NOT NULL REFERENCES stores (store_id),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  question TEXT NOT NULL,
+  score INTEGER NOT NULL,
+  response_count INTEGER,
+  response_percent NUMERIC,
+  total_responses INTEGER,
+  suppressed BOOLEAN NOT NULL DEFAULT FALSE, -- value columns are NULL where SMG showed ** or nothing
+  CHECK (end_date >= start_date),
+  UNIQUE (store_id, start_date, end_date, question, score)
+);
+
+CREATE INDEX IF NOT EXISTS period_cx_scores_range_idx ON period_cx_scores (start_date, end_date);
@@ -0,0 +1,34 @@
+-- Pipeline run history for /smg-runs
+-- pipeline_runs: one row per /smg-pipeline execution (including runs started by
+--   /smg-download, /smg-backfill and the scheduler), inserted as 'running' and updated on completion.
+-- pipeline_run_stages: one row per stage (date_calculation, transformation, quality_checks, upload) with the
+--   full stage result in details.
+
+CREATE TABLE IF NOT EXISTS pipeline_runs (
+  pipeline_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,                 -- running | completed | failed | cancelled
+  source TEXT NOT NULL DEFAULT 'api',   -- api | download | backfill | schedule | watch
+  upload_mode TEXT,
+  dates_processed DATE[] NOT NULL DEFAULT '{}',
+  records_processed INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMPTZ NOT NULL,
+  completed_at TIMESTAMPTZ,
+  total_duration_ms INTEGER,
+  error TEXT,
+  error_code TEXT,
+  errors JSONB NOT NULL DEFAULT '[]',
+  warnings JSONB NOT NULL DEFAULT '[]'
+);
+
+CREATE INDEX IF NOT EXISTS pipeline_runs_started_at_idx ON pipeline_runs (started_at DESC);
+CREATE INDEX IF NOT EXISTS pipeline_runs_dates_processed_idx ON pipeline_runs USING GIN (dates_processed);
+
+CREATE TABLE IF NOT EXISTS pipeline_run_stages (
+  pipeline_id TEXT NOT NULL REFERENCES pipeline_runs (pipeline_id) ON DELETE CASCADE,
+  stage TEXT NOT NULL,
+  stage_order INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  duration_ms INTEGER NOT NULL DEFAULT 0,
+  details JSONB NOT NULL DEFAULT '{}',
+  PRIMARY KEY (pipeline_id, stage)
+);
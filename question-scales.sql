@@ -0,0 +1,59 @@
+-- Question scales and NPS
+-- question_scales: the score range of each SMG question, registered by /smg-transform and
+--   /smg-pipeline from the report profile that matched the question's columns. /smg-upload
+--   rejects scores outside the question's range; unregistered questions are treated as 1-5.
+-- daily_nps_scores: promoter (9-10), passive (7-8) and detractor (0-6) counts and NPS for each
+--   store/day of every NPS question. Counts are NULL when any of the question's cells was
+--   suppressed for that store/day.
+-- period_nps_scores: the same per store/period for range reports loaded into period_cx_scores.
+
+CREATE TABLE IF NOT EXISTS question_scales (
+  question TEXT PRIMARY KEY,
+  scale_min INTEGER NOT NULL,
+  scale_max INTEGER NOT NULL,
+  nps BOOLEAN NOT NULL DEFAULT FALSE,
+  report_profile TEXT,                 -- id@vN of the profile that last registered it
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (scale_max > scale_min)
+);
+
+-- Scores are no longer always 1-5 (drops the default-named check if the table had one)
+ALTER TABLE daily_cx_scores DROP CONSTRAINT IF EXISTS daily_cx_scores_score_check;
+ALTER TABLE period_cx_scores DROP CONSTRAINT IF EXISTS period_cx_scores_score_check;
+
+CREATE OR REPLACE VIEW daily_nps_scores AS
+SELECT
+  s.store_id,
+  s.date,
+  s.question,
+  max(s.total_responses) AS total_responses,
+  CASE WHEN bool_or(s.suppressed) THEN NULL ELSE coalesce(sum(s.response_count) FILTER (WHERE s.score >= 9), 0) END AS promoters,
+  CASE WHEN bool_or(s.suppressed) THEN NULL ELSE coalesce(sum(s.response_count) FILTER (WHERE s.score BETWEEN 7 AND 8), 0) END AS passives,
+  CASE WHEN bool_or(s.suppressed) THEN NULL ELSE coalesce(sum(s.response_count) FILTER (WHERE s.score <= 6), 0) END AS detractors,
+  CASE WHEN bool_or(s.suppressed) OR sum(s.response_count) = 0 THEN NULL
+       ELSE round(100.0 * (coalesce(sum(s.response_count) FILTER (WHERE s.score >= 9), 0)
+                          - coalesce(sum(s.response_count) FILTER (WHERE s.score <= 6), 0)) / sum(s.response_count), 1)
+  END AS nps,
+  bool_or(s.suppressed) AS suppressed
+FROM daily_cx_scores s
+JOIN question_scales q ON q.question = s.question AND q.nps
+GROUP BY s.store_id, s.date, s.question;
+
+CREATE OR REPLACE VIEW period_nps_scores AS
+SELECT
+  s.store_id,
+  s.start_date,
+  s.end_date,
+  s.question,
+  max(s.total_responses) AS total_responses,
+  CASE WHEN bool_or(s.suppressed) THEN NULL ELSE coalesce(sum(s.response_count) FILTER (WHERE s.score >= 9), 0) END AS promoters,
+  CASE WHEN bool_or(s.suppressed) THEN NULL ELSE coalesce(sum(s.response_count) FILTER (WHERE s.score BETWEEN 7 AND 8), 0) END AS passives,
+  CASE WHEN bool_or(s.suppressed) THEN NULL ELSE coalesce(sum(s.response_count) FILTER (WHERE s.score <= 6), 0) END AS detractors,
+  CASE WHEN bool_or(s.suppressed) OR sum(s.response_count) = 0 THEN NULL
+       ELSE round(100.0 * (coalesce(sum(s.response_count) FILTER (WHERE s.score >= 9), 0)
+                          - coalesce(sum(s.response_count) FILTER (WHERE s.score <= 6), 0)) / sum(s.response_count), 1)
+  END AS nps,
+  bool_or(s.suppressed) AS suppressed
+FROM period_cx_scores s
+JOIN question_scales q ON q.question = s.question AND q.nps
+GROUP BY s.store_id, s.start_date, s.end_date, s.question;
@@ -0,0 +1,181 @@
+// REPORT PROFILES - column layouts a question can use in an SMG Full Scale Report
+// Header row 1 names each question over its first column, row 2 holds the sub-headers.
+// A profile recognises a question by its sub-headers (from the n column on; strings match
+// case-insensitively, RegExps as written) and maps each score to a column offset from n.
+// scale is the question's score range; nps marks 0-10 Likelihood to Recommend questions.
+// Profiles with no scores are recognised but not loaded - their values have no score row.
+// Bump a profile's version whenever its mapping changes; records carry the id@vN that produced them.
+const NPS_SCORES = Array.from({ length: 11 }, (_, score) => score);
+
+const REPORT_PROFILES = [
+  {
+    id: 'five_point_distribution',
+    version: 1,
+    description: 'n, then % of 5, 4, 3, 2, 1 responses',
+    subHeaders: ['n', '5', '4', '3', '2', '1'],
+    scores: { 5: 1, 4: 2, 3: 3, 2: 4, 1: 5 },
+    scale: { min: 1, max: 5 },
+    fullDistribution: true
+  },
+  {
+    id: 'five_point_distribution_ascending',
+    version: 1,
+    description: 'n, then % of 1, 2, 3, 4, 5 responses',
+    subHeaders: ['n', '1', '2', '3', '4', '5'],
+    scores: { 1: 1, 2: 2, 3: 3, 4: 4, 5: 5 },
+    scale: { min: 1, max: 5 },
+    fullDistribution: true
+  },
+  {
+    id: 'nps_distribution',
+    version: 1,
+    description: 'n, then % of 10 down to 0 responses (Likelihood to Recommend)',
+    subHeaders: ['n', ...NPS_SCORES.map(String).reverse()],
+    scores: Object.fromEntries(NPS_SCORES.map(score => [score, 11 - score])),
+    scale: { min: 0, max: 10 },
+    nps: true,
+    fullDistribution: true
+  },
+  {
+    id: 'nps_distribution_ascending',
+    version: 1,
+    description: 'n, then % of 0 up to 10 responses (Likelihood to Recommend)',
+    subHeaders: ['n', ...NPS_SCORES.map(String)],
+    scores: Object.fromEntries(NPS_SCORES.map(score => [score, score + 1])),
+    scale: { min: 0, max: 10 },
+    nps: true,
+    fullDistribution: true
+  },
+  {
+    id: 'top_box',
+    // v1 loaded the top-box share as score 5, indistinguishable from a real distribution's score-5 row
+    version: 2,
+    description: 'n, then % Top Box only (recognised, not loaded - a share, not a 5-point distribution)',
+    subHeaders: ['n', /^top[ -]?box( %)?$/i],
+    scores: {},
+    fullDistribution: false
+  },
+  {
+    id: 'yes_no',
+    version: 1,
+    description: 'n, then % Yes and % No (recognised, not loaded)',
+    subHeaders: ['n', 'yes', 'no'],
+    scores: {},
+    fullDistribution: false
+  },
+  {
+    id: 'mean_score',
+    version: 1,
+    description: 'n, then the mean score (recognised, not loaded)',
+    subHeaders: ['n', /^(mean|avg|average)( score)?$/i],
+    scores: {},
+    fullDistribution: false
+  }
+];
+
+function reportProfileKey(profile) {
+  return `${profile.id}@v${profile.version}`;
+}
+
+const REPORT_PROFILES_BY_KEY = new Map(REPORT_PROFILES.map(profile => [reportProfileKey(profile), profile]));
+
+/**
+ * Does a question's sub-headers (starting at its n column) fit the profile's layout
+ */
+function profileMatches(profile, subHeaders) {
+  return profile.subHeaders.every((expected, offset) => {
+    const actual = subHeaders[offset] || '';
+    return expected instanceof RegExp ? expected.test(actual) : actual.toLowerCase() === expected;
+  });
+}
+
+/**
+ * Detect the layout of each question in the SMG header
+ * Takes the two header records as already-tokenized field arrays
+ * Returns { metrics, profiles_used, skipped_questions, unrecognized_questions } where each metric
+ * has the response count column and a score → column map. Throws UNRECOGNIZED_REPORT_FORMAT
+ * (listing the profiles tried) when no question can be loaded.
+ */
+function detectReportFormat(headerFields1, headerFields2) {
+  console.log('🔍 DEBUG detectReportFormat() - START');
+  
+  const categories = (headerFields1 || []).map(h => h.trim());
+  const subHeaders = (headerFields2 || []).map(h => h.trim());
+  
+  console.log('📊 First 10 categories:', categories.slice(0, 10));
+  console.log('📊 First 10 subHeaders:', subHeaders.slice(0, 10));
+  
+  // A category label starts a question that runs until the next label
+  const questions = [];
+  for (let i = 1; i < Math.max(categories.length, subHeaders.length); i++) {
+    if (categories[i]) questions.push({ name: categories[i], startIndex: i, subHeaders: [] });
+    if (questions.length > 0) questions[questions.length - 1].subHeaders.push(subHeaders[i] || '');
+  }
+  
+  const metrics = [];
+  const profilesUsed = {};
+  const skippedQuestions = [];
+  const unrecognizedQuestions = [];
+  
+  questions.forEach(question => {
+    const nOffset = question.subHeaders.findIndex(header => header.toLowerCase() === 'n');
+    const columns = nOffset === -1 ? [] : question.subHeaders.slice(nOffset);
+    const profile = nOffset === -1 ? null : REPORT_PROFILES.find(candidate => profileMatches(candidate, columns));
+    
+    if (!profile) {
+      unrecognizedQuestions.push({
+        question: question.name,
+        column: question.startIndex + 1,
+        sub_headers: question.subHeaders.filter(Boolean)
+      });
+      return;
+    }
+    
+    const key = reportProfileKey(profile);
+    profilesUsed[key] = (profilesUsed[key] || 0) + 1;
+    
+    if (Object.keys(profile.scores).length === 0) {
+      skippedQuestions.push({ question: question.name, profile: key, reason: 'layout has no score columns to load' });
+      return;
+    }
+    
+    const responseCountIndex = question.startIndex + nOffset;
+    metrics.push({
+      name: question.name,
+      profile: key,
+      scale: profile.scale,
+      nps: Boolean(profile.nps),
+      startIndex: responseCountIndex,
+      responseCountIndex: responseCountIndex,
+      scoreIndices: Object.fromEntries(
+        Object.entries(profile.scores).map(([score, offset]) => [score, responseCountIndex + offset])
+      )
+    });
+  });
+  
+  console.log('🔍 DEBUG detectReportFormat() - END');
+  console.log('📊 Metrics found:', metrics.map(m => `${m.name} (${m.profile})`));
+  if (unrecognizedQuestions.length > 0) {
+    console.warn(`⚠️ Unrecognised question layouts: ${unrecognizedQuestions.map(q => `${q.question} [${q.sub_headers.join(', ')}]`).join('; ')}`);
+  }
+  
+  if (metrics.length === 0) {
+    const attempted = REPORT_PROFILES.map(reportProfileKey);
+    const described = [...unrecognizedQuestions.map(q => `${q.question} [${q.sub_headers.join(', ')}]`), ...skippedQuestions.map(q => `${q.question} (${q.profile}, not loadable)`)];
+    const error = new Error(`No loadable questions in SMG report header - tried profiles ${attempted.join(', ')}${described.length > 0 ? `; found ${described.join('; ')}` : '; no question columns found'}`);
+    error.code = 'UNRECOGNIZED_REPORT_FORMAT';
+    error.attempted_profiles = attempted;
+    error.unrecognized_questions = unrecognizedQuestions;
+    error.skipped_questions = skippedQuestions;
+    throw error;
+  }
+  
+  return {
+    metrics,
+    profiles_used: profilesUsed,
+    skipped_questions: skippedQuestions,
+    unrecognized_questions: unrecognizedQuestions
+  };
+}
+
+module.exports = { REPORT_PROFILES, REPORT_PROFILES_BY_KEY, reportProfileKey, detectReportFormat };
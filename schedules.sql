@@ -0,0 +1,50 @@
+-- Schedules for the built-in pipeline scheduler
+-- One row per schedule. Rows can be added here directly or seeded from the SMG_SCHEDULES env
+-- var at startup (env seeding updates cron/csv_source/upload_mode/timezone but never paused).
+-- csv_source is 'download' (SMG portal via Playwright) or 'drop_folder' (SMG_DROP_FOLDER).
+--
+-- locked_by / locked_until are a lease so that only one replica runs a schedule at a time;
+-- last_scheduled_for is the cron slot that was last claimed, so a replica whose timer fires
+-- late cannot re-run a slot another replica already finished.
+
+CREATE TABLE IF NOT EXISTS schedules (
+  name TEXT PRIMARY KEY,
+  cron TEXT NOT NULL,                          -- minute hour day-of-month month day-of-week
+  timezone TEXT NOT NULL DEFAULT 'America/Chicago',
+  csv_source TEXT NOT NULL DEFAULT 'download', -- download | drop_folder
+  upload_mode TEXT NOT NULL DEFAULT 'upsert',
+  paused BOOLEAN NOT NULL DEFAULT FALSE,
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  last_scheduled_for TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_completed_at TIMESTAMPTZ,
+  last_status TEXT,                            -- running | completed | partial | failed
+  last_trigger TEXT,                           -- cron | manual
+  last_results JSONB,                          -- per-date { date, status, pipeline_id, error }
+  last_error TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Claim a schedule for one run. Returns true only for the replica that wins the lease.
+-- p_slot is the cron minute being run (NULL for a manual trigger, which skips the slot check).
+CREATE OR REPLACE FUNCTION claim_schedule(p_name text, p_owner text, p_slot timestamptz, p_lease_ms integer)
+RETURNS boolean
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  claimed_count integer;
+BEGIN
+  UPDATE schedules
+  SET locked_by = p_owner,
+      locked_until = now() + make_interval(secs => p_lease_ms / 1000.0),
+      last_scheduled_for = COALESCE(p_slot, last_scheduled_for),
+      updated_at = now()
+  WHERE name = p_name
+    AND (locked_until IS NULL OR locked_until < now())
+    AND (p_slot IS NULL OR last_scheduled_for IS NULL OR last_scheduled_for < p_slot);
+  GET DIAGNOSTICS claimed_count = ROW_COUNT;
+
+  RETURN claimed_count = 1;
+END;
+$$;
@@ -0,0 +1,16 @@
+-- Coverage of daily_cx_scores for /smg-gaps
+-- One row per (store, day) that has any scores in the range, with the questions present.
+-- Aggregated in Postgres so gap detection does not page through every score row;
+-- /smg-gaps pages through the result with .range().
+
+CREATE OR REPLACE FUNCTION daily_cx_score_coverage(p_from date, p_to date)
+RETURNS TABLE (store_id text, date date, questions text[])
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT s.store_id::text, s.date, array_agg(DISTINCT s.question ORDER BY s.question)
+  FROM daily_cx_scores s
+  WHERE s.date BETWEEN p_from AND p_to
+  GROUP BY s.store_id, s.date
+  ORDER BY s.date, s.store_id::text;
+$$;
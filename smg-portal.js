@@ -0,0 +1,90 @@
+// SMG PORTAL - Pulls the Full Scale Report from the SMG portal with Playwright
+// Portal URL, credentials and selectors are passed in, so the same flow runs against the real
+// portal or the local stub in fixtures/stub-portal.js.
+
+/**
+ * Convert "YYYY-MM-DD" to the "M/D/YYYY" format the SMG portal date pickers expect
+ */
+function formatDateForPortal(dateStr) {
+  const [year, month, day] = dateStr.split('-');
+  return `${parseInt(month, 10)}/${parseInt(day, 10)}/${year}`;
+}
+
+/**
+ * Create the report downloader for one portal
+ * config holds portalUrl, reportUrl, username, password, headless, timeoutMs and selectors;
+ * readReport(buffer) turns the exported file into report text (e.g. converting an .xlsx export).
+ */
+function createSMGPortalDownloader({ config, readReport = buffer => buffer.toString('utf8') }) {
+  /**
+   * Read a Playwright download into report text
+   */
+  async function readDownload(download) {
+    const stream = await download.createReadStream();
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return readReport(Buffer.concat(chunks));
+  }
+  
+  /**
+   * Log into the SMG portal and export the Full Scale Report for a date range ("YYYY-MM-DD" dates)
+   * Returns the CSV text as the portal serves it (converted by readReport)
+   */
+  async function downloadSMGReport(startDate, endDate) {
+    const missing = [
+      ['SMG_PORTAL_URL', config.portalUrl],
+      ['SMG_USERNAME', config.username],
+      ['SMG_PASSWORD', config.password]
+    ].filter(([, value]) => !value).map(([name]) => name);
+    
+    if (missing.length > 0) {
+      throw new Error(`SMG portal is not configured - missing: ${missing.join(', ')}`);
+    }
+    
+    // Loaded lazily so the API starts without a browser installed
+    const { chromium } = require('playwright');
+    
+    console.log(`🌐 Launching headless browser for SMG portal (${config.portalUrl})...`);
+    const browser = await chromium.launch({ headless: config.headless });
+    
+    try {
+      const context = await browser.newContext({ acceptDownloads: true });
+      const page = await context.newPage();
+      page.setDefaultTimeout(config.timeoutMs);
+      
+      console.log('🔐 Logging into SMG portal...');
+      await page.goto(config.portalUrl);
+      await page.fill(config.selectors.username, config.username);
+      await page.fill(config.selectors.password, config.password);
+      await Promise.all([
+        page.waitForNavigation(),
+        page.click(config.selectors.loginButton)
+      ]);
+      
+      console.log('📄 Opening Full Scale Report...');
+      await page.goto(new URL(config.reportUrl, config.portalUrl).toString());
+      await page.waitForSelector(config.selectors.loggedIn);
+      await page.fill(config.selectors.startDate, formatDateForPortal(startDate));
+      await page.fill(config.selectors.endDate, formatDateForPortal(endDate));
+      
+      console.log(`📥 Exporting Full Scale Report for ${startDate} - ${endDate}...`);
+      const [download] = await Promise.all([
+        page.waitForEvent('download'),
+        page.click(config.selectors.exportButton)
+      ]);
+      
+      const csvData = await readDownload(download);
+      console.log(`✅ SMG report downloaded: ${csvData.length} characters (${download.suggestedFilename()})`);
+      return csvData;
+      
+    } finally {
+      await browser.close();
+    }
+  }
+  
+  return downloadSMGReport;
+}
+
+module.exports = { createSMGPortalDownloader, formatDateForPortal };
@@ -0,0 +1,26 @@
+-- Store alias table and unmapped-location review queue
+-- store_aliases: approved links from a raw SMG location string to a store_id, consulted
+--   before the number/name heuristics. location_key is the trimmed, lower-cased,
+--   whitespace-collapsed location string.
+-- unmapped_location_sightings: one row per unmapped location per report date, written by
+--   /smg-transform and /smg-pipeline and listed by GET /smg-unmapped-locations.
+
+CREATE TABLE IF NOT EXISTS store_aliases (
+  location_key TEXT PRIMARY KEY,
+  store_location TEXT NOT NULL,
+  store_id UUID NOT NULL REFERENCES stores (store_id),
+  approved_by TEXT,
+  approved_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS unmapped_location_sightings (
+  location_key TEXT NOT NULL,
+  store_location TEXT NOT NULL,
+  report_date DATE NOT NULL,
+  records INTEGER NOT NULL DEFAULT 0,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (location_key, report_date)
+);
+
+CREATE INDEX IF NOT EXISTS unmapped_location_sightings_seen_idx ON unmapped_location_sightings (last_seen_at);
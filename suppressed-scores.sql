@@ -0,0 +1,15 @@
+-- Suppressed / missing SMG cells
+-- SMG masks low-sample cells as ** and sometimes leaves cells empty. These used to load as 0,
+-- which is indistinguishable from a real 0%. The transformer now keeps them as NULL and sets
+-- suppressed = TRUE on the row, so the value columns must be nullable.
+--
+-- Aggregates should read NULL as "unknown": AVG/SUM already skip NULLs, and rows with
+-- suppressed = TRUE should be excluded from response-weighted averages.
+-- Rows loaded before this migration keep suppressed = FALSE (their zeros cannot be told apart).
+
+ALTER TABLE daily_cx_scores ADD COLUMN IF NOT EXISTS suppressed BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE daily_cx_scores ALTER COLUMN response_count DROP NOT NULL;
+ALTER TABLE daily_cx_scores ALTER COLUMN response_percent DROP NOT NULL;
+ALTER TABLE daily_cx_scores ALTER COLUMN total_responses DROP NOT NULL;
+
+ALTER TABLE period_cx_scores ADD COLUMN IF NOT EXISTS suppressed BOOLEAN NOT NULL DEFAULT FALSE;
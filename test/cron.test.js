@@ -0,0 +1,107 @@
+// Cron parsing and next-run calculation in America/Chicago - run with npm test
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, cronFiresAt, nextCronRun } = require('../cron');
+
+const CHICAGO = 'America/Chicago';
+
+/**
+ * The next `count` runs after from, as ISO strings
+ */
+function nextRuns(expression, from, count = 1) {
+  const cron = parseCron(expression);
+  const runs = [];
+  let after = new Date(from);
+  for (let i = 0; i < count; i++) {
+    after = nextCronRun(cron, CHICAGO, after);
+    runs.push(after && after.toISOString());
+  }
+  return runs;
+}
+
+test('fires on either day field when both are restricted', () => {
+  // 2025-06-01 is a Sunday: the 1st and every Monday fire, and so does July 1st (a Tuesday)
+  assert.deepStrictEqual(nextRuns('0 9 1 * 1', '2025-05-31T12:00:00Z', 4), [
+    '2025-06-01T14:00:00.000Z',
+    '2025-06-02T14:00:00.000Z',
+    '2025-06-09T14:00:00.000Z',
+    '2025-06-16T14:00:00.000Z'
+  ]);
+  assert.deepStrictEqual(nextRuns('0 9 1 * 1', '2025-06-30T15:00:00Z'), ['2025-07-01T14:00:00.000Z']);
+});
+
+test('needs only the restricted day field when the other is *', () => {
+  assert.deepStrictEqual(nextRuns('0 9 1 * *', '2025-06-01T15:00:00Z'), ['2025-07-01T14:00:00.000Z']);
+  assert.deepStrictEqual(nextRuns('0 9 * * 1', '2025-06-01T15:00:00Z'), ['2025-06-02T14:00:00.000Z']);
+});
+
+test('treats day-of-week 7 as Sunday', () => {
+  assert.deepStrictEqual([...parseCron('0 9 * * 7').dayOfWeek], [0]);
+  assert.deepStrictEqual([...parseCron('0 9 * * 5-7').dayOfWeek].sort(), [0, 5, 6]);
+  assert.deepStrictEqual(nextRuns('0 9 * * 7', '2025-06-02T15:00:00Z'), ['2025-06-08T14:00:00.000Z']);
+});
+
+test('expands */n and range/n steps', () => {
+  assert.deepStrictEqual([...parseCron('*/15 * * * *').minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+  assert.deepStrictEqual([...parseCron('0 8-18/5 * * *').hour], [8, 13, 18]);
+  assert.deepStrictEqual(nextRuns('*/20 * * * *', '2025-06-02T14:05:00Z', 3), [
+    '2025-06-02T14:20:00.000Z',
+    '2025-06-02T14:40:00.000Z',
+    '2025-06-02T15:00:00.000Z'
+  ]);
+});
+
+test('rejects malformed expressions', () => {
+  for (const expression of ['0 9 * *', '60 * * * *', '0 24 * * *', '0 9 0 * *', '0 9 * * 8', '0 9 * * 5-1', '*/0 * * * *', 'a * * * *']) {
+    assert.throws(() => parseCron(expression), { code: 'INVALID_CRON' }, expression);
+  }
+});
+
+test('returns null for a cron that can never fire', () => {
+  assert.deepStrictEqual(nextRuns('0 0 31 2 *', '2025-01-01T00:00:00Z'), [null]);
+  assert.deepStrictEqual(nextRuns('0 0 30 2 *', '2025-01-01T00:00:00Z'), [null]);
+});
+
+test('runs at the local time on both sides of a DST change', () => {
+  // 6:30 is 11:30Z under CDT (UTC-5) and 12:30Z under CST (UTC-6)
+  assert.deepStrictEqual(nextRuns('30 6 * * *', '2025-03-08T00:00:00Z', 3), [
+    '2025-03-08T12:30:00.000Z',
+    '2025-03-09T11:30:00.000Z',
+    '2025-03-10T11:30:00.000Z'
+  ]);
+  assert.deepStrictEqual(nextRuns('30 6 * * *', '2025-11-01T00:00:00Z', 3), [
+    '2025-11-01T11:30:00.000Z',
+    '2025-11-02T12:30:00.000Z',
+    '2025-11-03T12:30:00.000Z'
+  ]);
+});
+
+test('runs a time skipped when clocks go forward right after the jump', () => {
+  // 2025-03-09 02:00 CST jumps to 03:00 CDT (08:00Z), so 02:30 never happens that day
+  assert.deepStrictEqual(nextRuns('30 2 * * *', '2025-03-09T06:00:00Z', 2), [
+    '2025-03-09T08:00:00.000Z',
+    '2025-03-10T07:30:00.000Z'
+  ]);
+  assert.strictEqual(cronFiresAt(parseCron('30 2 * * *'), CHICAGO, new Date('2025-03-09T08:01:00Z')), false);
+  assert.strictEqual(cronFiresAt(parseCron('30 3 * * *'), CHICAGO, new Date('2025-03-09T08:00:00Z')), false);
+});
+
+test('runs a time repeated when clocks go back only once', () => {
+  // 2025-11-02 01:00-01:59 happens twice: first CDT (06:00Z), then CST (07:00Z)
+  assert.deepStrictEqual(nextRuns('30 1 * * *', '2025-11-02T05:00:00Z', 2), [
+    '2025-11-02T06:30:00.000Z',
+    '2025-11-03T07:30:00.000Z'
+  ]);
+  assert.strictEqual(cronFiresAt(parseCron('30 1 * * *'), CHICAGO, new Date('2025-11-02T07:30:00Z')), false);
+});
+
+test('keeps running every-hour jobs through the repeated hour', () => {
+  assert.deepStrictEqual(nextRuns('*/30 * * * *', '2025-11-02T05:50:00Z', 5), [
+    '2025-11-02T06:00:00.000Z',
+    '2025-11-02T06:30:00.000Z',
+    '2025-11-02T07:00:00.000Z',
+    '2025-11-02T07:30:00.000Z',
+    '2025-11-02T08:00:00.000Z'
+  ]);
+});
@@ -0,0 +1,89 @@
+// RFC 4180 tokenizer on SMG-shaped exports - run with npm test
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createCSVTokenizer, parseCSV } = require('../csv-tokenizer');
+
+function parseError(content) {
+  try {
+    parseCSV(content);
+  } catch (error) {
+    return error;
+  }
+  assert.fail('expected a CSV_PARSE_ERROR');
+}
+
+test('keeps commas inside quoted fields', () => {
+  assert.deepStrictEqual(parseCSV('Store,Name\n1001,"Austin, TX"'), [
+    ['Store', 'Name'],
+    ['1001', 'Austin, TX']
+  ]);
+});
+
+test('unescapes doubled quotes inside quoted fields', () => {
+  assert.deepStrictEqual(parseCSV('"He said ""great"" service",""\n'), [['He said "great" service', '']]);
+});
+
+test('keeps newlines inside quoted fields and reports the starting row', () => {
+  const rows = [];
+  const tokenizer = createCSVTokenizer((fields, row) => rows.push([row, fields]));
+  tokenizer.write('Comment,Score\n"Line one\nLine two",5\nAfter,4');
+  tokenizer.end();
+  
+  assert.deepStrictEqual(rows, [
+    [1, ['Comment', 'Score']],
+    [2, ['Line one\nLine two', '5']],
+    [4, ['After', '4']]
+  ]);
+});
+
+test('strips a leading BOM, even when it arrives in its own chunk', () => {
+  assert.deepStrictEqual(parseCSV('\uFEFFStore,Score\n1001,5'), [['Store', 'Score'], ['1001', '5']]);
+  
+  const records = [];
+  const tokenizer = createCSVTokenizer(fields => records.push(fields));
+  tokenizer.write('\uFEFF');
+  tokenizer.write('Store\n\uFEFFkept');
+  tokenizer.end();
+  assert.deepStrictEqual(records, [['Store'], ['\uFEFFkept']]);
+});
+
+test('treats CRLF, CR and LF as record ends, including a CRLF split across chunks', () => {
+  assert.deepStrictEqual(parseCSV('a,b\r\n1,2\r3,4\n5,6\r\n'), [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+  
+  const rows = [];
+  const tokenizer = createCSVTokenizer((fields, row) => rows.push([row, fields]));
+  tokenizer.write('a,"b"\r');
+  tokenizer.write('\n1,2');
+  tokenizer.end();
+  assert.deepStrictEqual(rows, [[1, ['a', 'b']], [2, ['1', '2']]]);
+});
+
+test('skips blank lines but keeps a quoted empty record', () => {
+  assert.deepStrictEqual(parseCSV('a\n\n\r\nb\n""\n'), [['a'], ['b'], ['']]);
+});
+
+test('rejects an unterminated quoted field at the row and column it opened', () => {
+  const error = parseError('Store,Comment\n1001,"never closed\nstill open');
+  
+  assert.strictEqual(error.code, 'CSV_PARSE_ERROR');
+  assert.strictEqual(error.row, 2);
+  assert.strictEqual(error.column, 2);
+  assert.match(error.message, /^Malformed CSV at row 2, column 2: unterminated quoted field$/);
+});
+
+test('rejects a stray quote in an unquoted field with its row and column', () => {
+  const error = parseError('Store,Name,Score\n1001,Austin "North",5');
+  
+  assert.strictEqual(error.code, 'CSV_PARSE_ERROR');
+  assert.strictEqual(error.row, 2);
+  assert.strictEqual(error.column, 2);
+  assert.match(error.message, /unexpected quote in unquoted field/);
+});
+
+test('rejects text after a closing quote', () => {
+  const error = parseError('a\n"b"c');
+  
+  assert.strictEqual(error.row, 2);
+  assert.strictEqual(error.column, 1);
+  assert.match(error.message, /unexpected character 'c' after closing quote/);
+});
@@ -0,0 +1,118 @@
+// Date-window strategies against an in-memory calendar - run with npm test
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createDateWindowCalculator } = require('../date-window');
+
+// July 2025: Friday the 4th is a holiday, the 5th/6th and 12th/13th are weekends
+const CALENDAR = new Map(
+  ['2025-06-28', '2025-06-29', '2025-06-30', '2025-07-01', '2025-07-02', '2025-07-03', '2025-07-04', '2025-07-05', '2025-07-06', '2025-07-07']
+    .map(date => {
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+      return [date, { date, is_weekend: weekday === 0 || weekday === 6, is_holiday: date === '2025-07-04' }];
+    })
+);
+
+function calculatorFor({ calendar = CALENDAR, loadedDates = [], now } = {}) {
+  const calls = [];
+  const calculateDateWindow = createDateWindowCalculator({
+    fetchCalendarDays: async (fromDate, toDate) => {
+      calls.push(['calendar', fromDate, toDate]);
+      return new Map([...calendar].filter(([date]) => date >= fromDate && date <= toDate));
+    },
+    datesWithScores: async dates => {
+      calls.push(['scores', dates.length]);
+      return new Set(dates.filter(date => loadedDates.includes(date)));
+    },
+    defaultTimezone: 'America/Chicago',
+    now
+  });
+  return { calculateDateWindow, calls };
+}
+
+test('calendar_days counts back every day without any lookups', async () => {
+  const { calculateDateWindow, calls } = calculatorFor();
+  const window = await calculateDateWindow({ count: 3, referenceDate: '2025-03-01' });
+  
+  assert.deepStrictEqual(window.dates, ['2025-03-01', '2025-02-28', '2025-02-27']);
+  assert.strictEqual(window.count, 3);
+  assert.strictEqual(window.calculation_method, '3_calendar_days');
+  assert.deepStrictEqual(calls, []);
+});
+
+test('business_days skips calendar weekends and holidays', async () => {
+  const { calculateDateWindow, calls } = calculatorFor();
+  const window = await calculateDateWindow({ count: 3, referenceDate: '2025-07-07', strategy: 'business_days' });
+  
+  assert.deepStrictEqual(window.dates, ['2025-07-07', '2025-07-03', '2025-07-02']);
+  assert.deepStrictEqual(window.skipped, [
+    { date: '2025-07-06', reason: 'weekend' },
+    { date: '2025-07-05', reason: 'weekend' },
+    { date: '2025-07-04', reason: 'holiday' }
+  ]);
+  assert.deepStrictEqual(window.warnings, []);
+  assert.deepStrictEqual(calls, [['calendar', '2025-06-18', '2025-07-07']]);
+});
+
+test('skip_holidays keeps weekends and skips only holidays', async () => {
+  const { calculateDateWindow } = calculatorFor();
+  const window = await calculateDateWindow({ count: 4, referenceDate: '2025-07-06', strategy: 'skip_holidays' });
+  
+  assert.deepStrictEqual(window.dates, ['2025-07-06', '2025-07-05', '2025-07-03', '2025-07-02']);
+  assert.deepStrictEqual(window.skipped, [{ date: '2025-07-04', reason: 'holiday' }]);
+});
+
+test('falls back to weekday weekends for dates missing from the calendar', async () => {
+  const { calculateDateWindow } = calculatorFor({ calendar: new Map() });
+  const window = await calculateDateWindow({ count: 2, referenceDate: '2025-07-07', strategy: 'business_days' });
+  
+  // Without calendar rows the 4th is not known to be a holiday
+  assert.deepStrictEqual(window.dates, ['2025-07-07', '2025-07-04']);
+  assert.deepStrictEqual(window.warnings, ['Not in calendar table (holidays unknown): 2025-07-07, 2025-07-06, 2025-07-05, 2025-07-04']);
+});
+
+test('warns when the search runs out of dates', async () => {
+  const holidays = new Map(Array.from({ length: 30 }, (_, i) => {
+    const date = new Date(Date.UTC(2025, 6, 7 - i)).toISOString().split('T')[0];
+    return [date, { date, is_weekend: false, is_holiday: true }];
+  }));
+  const { calculateDateWindow } = calculatorFor({ calendar: holidays });
+  const window = await calculateDateWindow({ count: 2, referenceDate: '2025-07-07', strategy: 'skip_holidays' });
+  
+  assert.deepStrictEqual(window.dates, []);
+  assert.deepStrictEqual(window.warnings, ['Only 0 of 2 dates found in the last 18 days']);
+});
+
+test('missing_scores picks the newest days without daily_cx_scores rows', async () => {
+  const { calculateDateWindow } = calculatorFor({ loadedDates: ['2025-07-07', '2025-07-05'] });
+  const window = await calculateDateWindow({ count: 2, referenceDate: '2025-07-07', strategy: 'missing_scores', lookback: 5 });
+  
+  assert.deepStrictEqual(window.dates, ['2025-07-06', '2025-07-04']);
+  assert.deepStrictEqual(window.skipped, [
+    { date: '2025-07-07', reason: 'has_scores' },
+    { date: '2025-07-05', reason: 'has_scores' }
+  ]);
+});
+
+test('defaults the reference date to today in the timezone', async () => {
+  // 03:00Z on July 1st is still June 30th in Chicago
+  const { calculateDateWindow } = calculatorFor({ now: () => new Date('2025-07-01T03:00:00Z') });
+  
+  assert.strictEqual((await calculateDateWindow({ count: 1 })).reference_date, '2025-06-30');
+  assert.strictEqual((await calculateDateWindow({ count: 1, timezone: 'UTC' })).reference_date, '2025-07-01');
+});
+
+test('rejects invalid windows with INVALID_DATE_WINDOW', async () => {
+  const { calculateDateWindow } = calculatorFor();
+  const invalid = [
+    [{ count: 0 }, /count must be an integer/],
+    [{ count: '1.5' }, /count must be an integer/],
+    [{ lookback: 400 }, /lookback must be an integer/],
+    [{ strategy: 'weekdays' }, /Invalid strategy: weekdays/],
+    [{ timezone: 'Mars/Olympus' }, /Invalid timezone: Mars\/Olympus/],
+    [{ referenceDate: '2025-02-30' }, /Invalid referenceDate: 2025-02-30/]
+  ];
+  
+  for (const [options, message] of invalid) {
+    await assert.rejects(calculateDateWindow(options), { code: 'INVALID_DATE_WINDOW', message });
+  }
+});
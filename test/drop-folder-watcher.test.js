@@ -0,0 +1,134 @@
+// Drop folder watcher against a temporary folder with a stub pipeline - run with npm test
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createDropFolderWatcher } = require('../drop-folder-watcher');
+
+let folder;
+let pipelineCalls;
+
+function stubPipeline(csvData) {
+  pipelineCalls.push(csvData);
+  if (csvData.includes('BROKEN')) throw new Error('Could not date report');
+  return Promise.resolve({
+    status: 'completed',
+    pipeline_id: `pipeline_${pipelineCalls.length}`,
+    stages: { date_calculation: { dates_to_process: ['2025-06-26'] } },
+    records_processed: 10,
+    warnings: [],
+    final_error: null
+  });
+}
+
+function watcherFor(options = {}) {
+  return createDropFolderWatcher({ folder, runPipeline: stubPipeline, settleMs: 0, ...options });
+}
+
+function readSidecar(...parts) {
+  return JSON.parse(fs.readFileSync(path.join(folder, ...parts), 'utf8'));
+}
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * 60 * 60 * 1000);
+}
+
+beforeEach(() => {
+  ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {}));
+  folder = fs.mkdtempSync(path.join(os.tmpdir(), 'smg-watch-'));
+  pipelineCalls = [];
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('ingests a dropped report and moves it to processed/ with a sidecar', async () => {
+  fs.writeFileSync(path.join(folder, 'report.csv'), 'Full Scale Report 6/26/2025');
+  fs.writeFileSync(path.join(folder, 'notes.txt'), 'not a report');
+  
+  const results = await watcherFor().scan();
+  
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].status, 'completed');
+  assert.deepStrictEqual(pipelineCalls, ['Full Scale Report 6/26/2025']);
+  assert.ok(fs.existsSync(path.join(folder, 'processed', 'report.csv')));
+  assert.ok(fs.existsSync(path.join(folder, 'notes.txt')));
+  
+  const sidecar = readSidecar('processed', 'report.csv.result.json');
+  assert.strictEqual(sidecar.pipeline_id, 'pipeline_1');
+  assert.deepStrictEqual(sidecar.dates, ['2025-06-26']);
+  assert.strictEqual(sidecar.moved_to, path.join('processed', 'report.csv'));
+});
+
+test('gunzips .gz files before the pipeline reads them', async () => {
+  fs.writeFileSync(path.join(folder, 'report.csv.gz'), zlib.gzipSync('Full Scale Report 6/27/2025'));
+  
+  await watcherFor().scan();
+  
+  assert.deepStrictEqual(pipelineCalls, ['Full Scale Report 6/27/2025']);
+  assert.ok(fs.existsSync(path.join(folder, 'processed', 'report.csv.gz')));
+});
+
+test('moves a report the pipeline rejects to failed/ with the error', async () => {
+  fs.writeFileSync(path.join(folder, 'broken.csv'), 'BROKEN');
+  
+  const [result] = await watcherFor().scan();
+  
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(readSidecar('failed', 'broken.csv.result.json').error, 'Could not date report');
+});
+
+test('skips content already ingested, including by an earlier watcher', async () => {
+  fs.writeFileSync(path.join(folder, 'first.csv'), 'Full Scale Report 6/26/2025');
+  await watcherFor().scan();
+  
+  // A new watcher reads the ingested hashes back from the processed/ sidecars
+  fs.writeFileSync(path.join(folder, 'again.csv'), 'Full Scale Report 6/26/2025');
+  const [result] = await watcherFor().scan();
+  
+  assert.strictEqual(result.status, 'duplicate');
+  assert.strictEqual(result.duplicate_of, 'first.csv');
+  assert.strictEqual(pipelineCalls.length, 1);
+  assert.ok(fs.existsSync(path.join(folder, 'processed', 'again.csv')));
+});
+
+test('leaves files that are still being written for the next scan', async () => {
+  fs.writeFileSync(path.join(folder, 'report.csv'), 'Full Scale Report 6/26/2025');
+  
+  const results = await watcherFor({ settleMs: 60 * 1000 }).scan();
+  
+  assert.deepStrictEqual(results, []);
+  assert.ok(fs.existsSync(path.join(folder, 'report.csv')));
+});
+
+test('retries a file abandoned in processing/ and leaves fresh claims alone', async () => {
+  fs.mkdirSync(path.join(folder, 'processing'));
+  fs.writeFileSync(path.join(folder, 'processing', 'interrupted.csv'), 'Full Scale Report 6/26/2025');
+  
+  assert.deepStrictEqual(await watcherFor({ staleMs: 60 * 1000 }).scan(), []);
+  assert.ok(fs.existsSync(path.join(folder, 'processing', 'interrupted.csv')));
+  
+  const results = await watcherFor({ staleMs: 0 }).scan();
+  
+  assert.deepStrictEqual(results.map(result => result.status), ['requeued', 'completed']);
+  assert.ok(fs.existsSync(path.join(folder, 'processed', 'interrupted.csv')));
+  assert.deepStrictEqual(fs.readdirSync(path.join(folder, 'processing')), []);
+});
+
+test('fails a file abandoned in processing/ once it is past the retry window', async () => {
+  const claimed = path.join(folder, 'processing', 'old.csv');
+  fs.mkdirSync(path.join(folder, 'processing'));
+  fs.writeFileSync(claimed, 'Full Scale Report 6/26/2025');
+  fs.utimesSync(claimed, hoursAgo(48), hoursAgo(48));
+  
+  const [result] = await watcherFor({ staleMs: 0, retryMs: 24 * 60 * 60 * 1000 }).scan();
+  
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(pipelineCalls.length, 0);
+  assert.ok(fs.existsSync(path.join(folder, 'failed', 'old.csv')));
+  assert.match(readSidecar('failed', 'old.csv.result.json').error, /interrupted/);
+});
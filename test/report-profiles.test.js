@@ -0,0 +1,128 @@
+// Report format detection on SMG header records - run with npm test
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('../csv-tokenizer');
+const { REPORT_PROFILES, detectReportFormat } = require('../report-profiles');
+
+const NPS_DESCENDING = ['n', '10', '9', '8', '7', '6', '5', '4', '3', '2', '1', '0'];
+
+function fixtureHeaders() {
+  const csv = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'smg-portal', 'full-scale-report.csv'), 'utf8');
+  const [, categories, subHeaders] = parseCSV(csv);
+  return [categories, subHeaders];
+}
+
+/**
+ * Header records for questions given as [name, subHeaders], after the Store ID column
+ */
+function headersFor(...questions) {
+  const categories = [''];
+  const subHeaders = ['Store ID'];
+  questions.forEach(([name, columns]) => {
+    columns.forEach((column, offset) => {
+      categories.push(offset === 0 ? name : '');
+      subHeaders.push(column);
+    });
+  });
+  return [categories, subHeaders];
+}
+
+beforeEach(() => {
+  ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('maps the fixture report to five-point distributions', () => {
+  const format = detectReportFormat(...fixtureHeaders());
+  
+  assert.deepStrictEqual(format.profiles_used, { 'five_point_distribution@v1': 2 });
+  assert.deepStrictEqual(format.metrics.map(metric => [metric.name, metric.responseCountIndex]), [
+    ['Overall Experience', 1],
+    ['Food Quality, Taste', 7]
+  ]);
+  assert.deepStrictEqual(format.metrics[1].scoreIndices, { 1: 12, 2: 11, 3: 10, 4: 9, 5: 8 });
+  assert.deepStrictEqual(format.metrics[1].scale, { min: 1, max: 5 });
+  assert.deepStrictEqual(format.skipped_questions, []);
+  assert.deepStrictEqual(format.unrecognized_questions, []);
+});
+
+test('detects ascending and NPS layouts, matching sub-headers case-insensitively', () => {
+  const format = detectReportFormat(...headersFor(
+    ['Speed of Service', ['N', '1', '2', '3', '4', '5']],
+    ['Likelihood to Recommend', NPS_DESCENDING],
+    ['Likelihood to Return', ['n', ...NPS_DESCENDING.slice(1).reverse()]]
+  ));
+  
+  assert.deepStrictEqual(format.metrics.map(metric => [metric.name, metric.profile, metric.nps]), [
+    ['Speed of Service', 'five_point_distribution_ascending@v1', false],
+    ['Likelihood to Recommend', 'nps_distribution@v1', true],
+    ['Likelihood to Return', 'nps_distribution_ascending@v1', true]
+  ]);
+  // NPS descending: n at column 7, then 10 at 8 down to 0 at 18
+  assert.strictEqual(format.metrics[1].scoreIndices[10], 8);
+  assert.strictEqual(format.metrics[1].scoreIndices[0], 18);
+  assert.deepStrictEqual(format.metrics[1].scale, { min: 0, max: 10 });
+});
+
+test('finds the n column after leading sub-headers', () => {
+  const format = detectReportFormat(...headersFor(['Overall Experience', ['Mean', 'n', '5', '4', '3', '2', '1']]));
+  
+  assert.strictEqual(format.metrics[0].responseCountIndex, 2);
+  assert.strictEqual(format.metrics[0].scoreIndices[5], 3);
+});
+
+test('skips recognised layouts that have no score columns', () => {
+  const format = detectReportFormat(...headersFor(
+    ['Overall Experience', ['n', '5', '4', '3', '2', '1']],
+    ['Friendliness', ['n', 'Top Box %']],
+    ['Would Return', ['n', 'Yes', 'No']],
+    ['Value', ['n', 'Avg Score']]
+  ));
+  
+  assert.strictEqual(format.metrics.length, 1);
+  assert.deepStrictEqual(format.skipped_questions.map(question => [question.question, question.profile]), [
+    ['Friendliness', 'top_box@v2'],
+    ['Would Return', 'yes_no@v1'],
+    ['Value', 'mean_score@v1']
+  ]);
+  assert.deepStrictEqual(format.profiles_used, {
+    'five_point_distribution@v1': 1,
+    'top_box@v2': 1,
+    'yes_no@v1': 1,
+    'mean_score@v1': 1
+  });
+});
+
+test('lists questions with an unknown layout and loads the rest', () => {
+  const format = detectReportFormat(...headersFor(
+    ['Overall Experience', ['n', '5', '4', '3', '2', '1']],
+    ['Cleanliness', ['n', '7', '6', '5']],
+    ['Comments', ['Text']]
+  ));
+  
+  assert.strictEqual(format.metrics.length, 1);
+  assert.deepStrictEqual(format.unrecognized_questions, [
+    { question: 'Cleanliness', column: 8, sub_headers: ['n', '7', '6', '5'] },
+    { question: 'Comments', column: 12, sub_headers: ['Text'] }
+  ]);
+});
+
+test('throws UNRECOGNIZED_REPORT_FORMAT when no question can be loaded', () => {
+  assert.throws(
+    () => detectReportFormat(...headersFor(['Friendliness', ['n', 'Top Box']], ['Cleanliness', ['n', '7', '6']])),
+    error => {
+      assert.strictEqual(error.code, 'UNRECOGNIZED_REPORT_FORMAT');
+      assert.deepStrictEqual(error.attempted_profiles, REPORT_PROFILES.map(profile => `${profile.id}@v${profile.version}`));
+      assert.deepStrictEqual(error.skipped_questions.map(question => question.question), ['Friendliness']);
+      assert.deepStrictEqual(error.unrecognized_questions.map(question => question.question), ['Cleanliness']);
+      assert.match(error.message, /found Cleanliness \[n, 7, 6\]; Friendliness \(top_box@v2, not loadable\)/);
+      return true;
+    }
+  );
+  assert.throws(() => detectReportFormat(['Store ID'], ['Store ID']), /no question columns found/);
+});
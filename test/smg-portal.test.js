@@ -0,0 +1,83 @@
+// Portal download against fixtures/stub-portal.js on an ephemeral port - run with npm test
+// Needs a Playwright Chromium (npx playwright install chromium); skipped when none is installed.
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { chromium } = require('playwright');
+const { createSMGPortalDownloader, formatDateForPortal } = require('../smg-portal');
+const { createStubPortal } = require('../fixtures/stub-portal');
+
+const chromiumInstalled = fs.existsSync(chromium.executablePath());
+const skip = chromiumInstalled ? false : 'Playwright Chromium is not installed';
+
+let server;
+
+function downloaderFor(overrides = {}) {
+  return createSMGPortalDownloader({
+    config: {
+      portalUrl: `http://127.0.0.1:${server.address().port}/`,
+      reportUrl: '/reports/full-scale',
+      username: 'stub',
+      password: 'stub',
+      headless: true,
+      timeoutMs: 15000,
+      selectors: {
+        username: '#username',
+        password: '#password',
+        loginButton: '#login',
+        loggedIn: '#report-filters',
+        startDate: '#startDate',
+        endDate: '#endDate',
+        exportButton: '#export-csv'
+      },
+      ...overrides
+    }
+  });
+}
+
+before(async () => {
+  server = createStubPortal({ username: 'stub', password: 'stub' }).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('formats dates the way the portal date pickers expect', () => {
+  assert.strictEqual(formatDateForPortal('2025-06-05'), '6/5/2025');
+  assert.strictEqual(formatDateForPortal('2025-12-31'), '12/31/2025');
+});
+
+test('refuses to launch a browser without portal credentials', async () => {
+  await assert.rejects(
+    downloaderFor({ username: '', password: '' })('2025-06-26', '2025-06-26'),
+    /missing: SMG_USERNAME, SMG_PASSWORD/
+  );
+});
+
+test('signs in and exports the Full Scale Report for the requested day', { skip, timeout: 60000 }, async () => {
+  const csvData = await downloaderFor()('2025-06-26', '2025-06-26');
+  const [title, , subHeaders] = csvData.split('\n');
+  
+  assert.strictEqual(title, 'Full Scale Report: 6/26/2025 - 6/26/2025');
+  assert.match(subHeaders, /^Store ID,n,5,4,3,2,1/);
+});
+
+test('exports a multi-day range with both dates substituted', { skip, timeout: 60000 }, async () => {
+  const csvData = await downloaderFor()('2025-06-20', '2025-06-26');
+  
+  assert.ok(csvData.startsWith('Full Scale Report: 6/20/2025 - 6/26/2025\n'));
+});
+
+test('fails when the portal rejects the credentials', { skip, timeout: 60000 }, async () => {
+  await assert.rejects(downloaderFor({ password: 'wrong', timeoutMs: 3000 })('2025-06-26', '2025-06-26'));
+});